@@ -0,0 +1,64 @@
+import { readFileSync, readdirSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const FIXTURE_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+/** Canned `{ transcript, reply }` turns, cycled one per utterance. */
+export const CONVERSATION = JSON.parse(readFileSync(path.join(FIXTURE_DIR, 'conversation.json'), 'utf8'));
+
+// Optional real audio: any `*.mp3` dropped into this folder is played back in
+// turn instead of generated silence.
+const MP3_FILES = readdirSync(FIXTURE_DIR).filter(f => f.endsWith('.mp3')).sort();
+
+/* ---------------------------------------------------------------------------
+   Silent MPEG-1 Layer III – 128 kbps, 44.1 kHz, mono. A frame whose side info
+   and main data are all zero decodes to 1152 samples of silence.
+--------------------------------------------------------------------------- */
+const FRAME_HEADER = Buffer.from([0xff, 0xfb, 0x90, 0xc4]);
+const FRAME_BYTES  = Math.floor((144 * 128000) / 44100);   // 417
+const FRAME_MS     = (1152 / 44100) * 1000;                // ≈26 ms
+
+export function silentMp3(durationMs) {
+  const frames = Math.max(1, Math.ceil(durationMs / FRAME_MS));
+  const frame = Buffer.alloc(FRAME_BYTES);
+  FRAME_HEADER.copy(frame);
+  return Buffer.concat(Array(frames).fill(frame));
+}
+
+const MS_PER_WORD = 400;
+
+/**
+ * TTS audio for `text` in conversation turn `turn`: that turn's fixture file,
+ * or silence at ~150 wpm. `text` may be a single sentence of the reply (the
+ * HTTP transport asks a sentence at a time); it then gets the matching share
+ * of the file – MP3 decoders resync on the next frame header. Text the turn's
+ * reply doesn't contain falls back to silence.
+ */
+export function speechFor(text, turn = 0) {
+  if (MP3_FILES.length) {
+    const index = Math.max(0, turn);
+    const { reply } = CONVERSATION[index % CONVERSATION.length];
+    const at = reply.indexOf(text);
+    if (text && at >= 0) {
+      const audio = readFileSync(path.join(FIXTURE_DIR, MP3_FILES[index % MP3_FILES.length]));
+      const share = (offset) => Math.round((audio.length * offset) / reply.length);
+      return audio.subarray(share(at), share(at + text.length));
+    }
+  }
+  const words = text.trim().split(/\s+/).filter(Boolean).length;
+  return silentMp3(words * MS_PER_WORD);
+}
+
+/**
+ * Word timings matching the generated silence, or null when a fixture file
+ * is played instead (its timing is unknown – the client estimates).
+ */
+export function timingsFor(text) {
+  if (MP3_FILES.length) return null;
+  return text.trim().split(/\s+/).filter(Boolean).map((word, i) => ({
+    word,
+    start: (i * MS_PER_WORD) / 1000,
+    end: ((i + 1) * MS_PER_WORD) / 1000,
+  }));
+}
@@ -0,0 +1,233 @@
+/**
+ * Mock backend for offline development.
+ *
+ * Implements the same surface as the real server with canned data:
+ *   POST /stt          – multipart upload → `{ text }`
+ *   POST /chat_stream  – SSE `data:` token frames
+ *   POST /tts_stream   – `audio/mpeg` bytes
+ *   WS   /ws/chat      – `partial_transcript` while mic audio arrives, then
+ *                        `transcript` / `assistant_text` / `word_timings` / `audio_end` + binary TTS frames;
+ *                        typed `user_text` turns are answered the same way, minus the transcript
+ *                        and with their `turn_id` echoed on each JSON message
+ *
+ *   PORT             – listen port (default 9000)
+ *   MOCK_LATENCY_MS  – simulated think time before each response (default 300)
+ */
+import http from 'node:http';
+import { WebSocketServer } from 'ws';
+import { CONVERSATION, speechFor, timingsFor } from './fixtures/index.js';
+
+const PORT       = Number(process.env.PORT) || 9000;
+const LATENCY_MS = Number(process.env.MOCK_LATENCY_MS ?? 300);
+
+const TOKEN_INTERVAL_MS = 60;     // pace of streamed reply tokens
+const AUDIO_CHUNK_BYTES = 4096;
+const AUDIO_INTERVAL_MS = 40;
+const PARTIAL_INTERVAL_MS = 300;  // one more word of the partial transcript per interval
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/* ---------------------------------------------------------------------------
+   Sessions – turn counter per session_id so a resumed socket carries on
+--------------------------------------------------------------------------- */
+const sessions = new Map();
+
+function session(id = 'anonymous') {
+  if (!sessions.has(id)) sessions.set(id, { turn: 0 });
+  return sessions.get(id);
+}
+
+/** The turn the next utterance will get, without consuming it. */
+function peekTurn(id) {
+  return CONVERSATION[session(id).turn % CONVERSATION.length];
+}
+
+function nextTurn(id) {
+  const s = session(id);
+  const turn = CONVERSATION[s.turn % CONVERSATION.length];
+  return { ...turn, index: s.turn++ };
+}
+
+/** Reply text for a prompt: the canned reply if we know the transcript. */
+function replyFor(prompt, index) {
+  const known = CONVERSATION.find(t => t.transcript === prompt);
+  return (known ?? CONVERSATION[index % CONVERSATION.length]).reply;
+}
+
+/* ---------------------------------------------------------------------------
+   HTTP
+--------------------------------------------------------------------------- */
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+async function readJSON(req) {
+  try { return JSON.parse((await readBody(req)).toString('utf8') || '{}'); } catch { return {}; }
+}
+
+/** Field value from a multipart body – good enough for the form the UI sends. */
+function formField(body, name) {
+  const match = body.toString('latin1').match(new RegExp(`name="${name}"\\r\\n\\r\\n([^\\r]*)`));
+  return match?.[1];
+}
+
+const routes = {
+  async '/stt'(req, res) {
+    const body = await readBody(req);
+    const { transcript } = nextTurn(formField(body, 'session_id'));
+    await sleep(LATENCY_MS);
+    res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ text: transcript }));
+  },
+
+  async '/chat_stream'(req, res) {
+    const { text = '', session_id } = await readJSON(req);
+    const reply = replyFor(text, session(session_id).turn);
+    res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    await sleep(LATENCY_MS);
+    for (const token of reply.split(' ')) {
+      if (res.destroyed) return;
+      res.write(`data: ${token}\n\n`);
+      await sleep(TOKEN_INTERVAL_MS);
+    }
+    res.end();
+  },
+
+  async '/tts_stream'(req, res) {
+    const { text = '' } = await readJSON(req);
+    // The HTTP transport asks for one sentence at a time – find the reply it belongs to.
+    const audio = speechFor(text, CONVERSATION.findIndex(t => t.reply.includes(text)));
+    res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'audio/mpeg' });
+    for (let i = 0; i < audio.length; i += AUDIO_CHUNK_BYTES) {
+      if (res.destroyed) return;
+      res.write(audio.subarray(i, i + AUDIO_CHUNK_BYTES));
+      await sleep(AUDIO_INTERVAL_MS);
+    }
+    res.end();
+  },
+};
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+  const route = req.method === 'POST' && routes[pathname];
+  if (!route) {
+    res.writeHead(404, CORS_HEADERS);
+    res.end();
+    return;
+  }
+  try {
+    await route(req, res);
+  } catch (err) {
+    console.error(`${pathname} failed`, err);
+    if (!res.headersSent) res.writeHead(500, CORS_HEADERS);
+    res.end();
+  }
+});
+
+/* ---------------------------------------------------------------------------
+   WebSocket – /ws/chat
+--------------------------------------------------------------------------- */
+const wss = new WebSocketServer({ server, path: '/ws/chat' });
+
+wss.on('connection', (ws, req) => {
+  const sessionId = new URL(req.url, 'http://localhost').searchParams.get('session_id');
+  console.log(`[ws] session ${sessionId} connected`);
+
+  let micBytes = 0;
+  let partial = null;   // { words, shown, at } – interim transcript of the utterance
+  let reply = null;     // { cancelled } for the turn being answered
+
+  const sendJSON = (obj) => ws.readyState === ws.OPEN && ws.send(JSON.stringify(obj));
+
+  /** Answer a spoken turn (`typed` undefined) or a typed one. */
+  const answer = async ({ typed, speak = true, turnId } = {}) => {
+    const tag = turnId != null ? { turn_id: turnId } : {};
+    if (reply) reply.cancelled = true;
+    const current = { cancelled: false };
+    reply = current;
+    const live = () => !current.cancelled && ws.readyState === ws.OPEN;
+
+    await sleep(LATENCY_MS);
+    if (!live()) return;
+    const { transcript, index } = nextTurn(sessionId);
+    const text = replyFor(typed ?? transcript, index);
+    if (typed === undefined) {
+      sendJSON({ type: 'transcript', text: transcript });
+      await sleep(LATENCY_MS);
+    }
+    const tokens = text.split(' ');
+    for (let i = 0; i < tokens.length; i++) {
+      if (!live()) return;
+      sendJSON({ type: 'assistant_text', text: (i ? ' ' : '') + tokens[i], partial: true, ...tag });
+      await sleep(TOKEN_INTERVAL_MS);
+    }
+    sendJSON({ type: 'assistant_text', text, partial: false, ...tag });
+
+    const audio = speak ? speechFor(text, index) : Buffer.alloc(0);
+    const words = speak && timingsFor(text);
+    if (words) sendJSON({ type: 'word_timings', words, ...tag });
+    for (let i = 0; i < audio.length; i += AUDIO_CHUNK_BYTES) {
+      if (!live()) return;
+      ws.send(audio.subarray(i, i + AUDIO_CHUNK_BYTES));
+      await sleep(AUDIO_INTERVAL_MS);
+    }
+    if (live()) sendJSON({ type: 'audio_end', ...tag });
+  };
+
+  /** Reveal the upcoming canned transcript a word at a time as audio arrives. */
+  const sendPartial = () => {
+    const now = Date.now();
+    partial ??= { words: peekTurn(sessionId).transcript.split(' '), shown: 0, at: 0 };
+    if (now - partial.at < PARTIAL_INTERVAL_MS || partial.shown >= partial.words.length) return;
+    partial.shown += 1;
+    partial.at = now;
+    sendJSON({ type: 'partial_transcript', text: partial.words.slice(0, partial.shown).join(' ') });
+  };
+
+  ws.on('message', (data, isBinary) => {
+    if (isBinary) {
+      micBytes += data.length;
+      sendPartial();
+      return;
+    }
+    let msg;
+    try { msg = JSON.parse(data.toString()); } catch { return; }
+
+    if (msg.type === 'end') {
+      console.log(`[ws] utterance of ${micBytes} bytes`);
+      micBytes = 0;
+      partial = null;
+      answer();
+    } else if (msg.type === 'start_mic_stream') {
+      sendJSON({ type: 'mic_stream_started', format: msg.format === 'pcm16' ? 'pcm16' : 'webm' });
+    } else if (msg.type === 'user_text') {
+      micBytes = 0;   // unfinished mic audio is superseded by the typed turn
+      partial = null;
+      answer({ typed: msg.text, speak: msg.speak !== false, turnId: msg.turn_id });
+    } else if (msg.type === 'cancel') {
+      if (reply) reply.cancelled = true;
+    }
+  });
+
+  ws.on('close', () => {
+    if (reply) reply.cancelled = true;
+    console.log(`[ws] session ${sessionId} closed`);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock backend listening on http://localhost:${PORT}`);
+});
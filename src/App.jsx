@@ -1,79 +1,423 @@
-import { useRef, useEffect } from 'react';
-import { Canvas } from "@react-three/fiber";
-import AudioBlob from "./components/blob/index.jsx";
-import useVoiceChat from "./hooks/useVoiceChatWS.js";
+import { useRef, useEffect, useState, useMemo } from 'react';
+import { PanelLeft, Pause, Play, Settings } from "lucide-react";
+import Visualiser from "./components/visualiser/index.jsx";
+import { blobStateFor } from "./components/blob/states.js";
+import Composer from "./components/composer/index.jsx";
+import SessionSidebar from "./components/sessions/index.jsx";
+import SettingsPanel from "./components/settings/index.jsx";
+import ErrorToast from "./components/toast/index.jsx";
+import SafetyPanel from "./components/safety/index.jsx";
+import ExportMenu from "./components/export/index.jsx";
+import ReplayButton from "./components/replay/index.jsx";
+import CaptionText from "./components/caption/index.jsx";
+import MetricsOverlay from "./components/metrics/index.jsx";
+import LiveAnnouncer from "./components/announcer/index.jsx";
+import useVoiceSession from "./hooks/useVoiceSession.js";
+import useSessions from "./hooks/useSessions.js";
+import useSettings from "./hooks/useSettings.js";
+import useMediaDevices from "./hooks/useMediaDevices.js";
+import useVisualiserLevel from "./hooks/useVisualiserLevel.js";
+import useFocusTrap from "./hooks/useFocusTrap.js";
+import { downloadTranscript, openPrintableTranscript, importTranscript, TranscriptError } from "./export/transcript.js";
+import { createReporter } from "./telemetry/reporters.js";
+import { createI18n } from "./i18n/index.js";
+import { I18nContext } from "./i18n/context.js";
+import { VOICE_TRANSPORT, API_BASE, MIC_CAPTURE, METRICS_REPORTERS } from "./config.js";
 import './App.css';
 
+const reportTurn = createReporter(METRICS_REPORTERS);
+
+// Message keys (../i18n) for each mic problem and status.
+const MIC_PROBLEMS = {
+  denied: 'mic.denied',
+  "no-device": 'mic.noDevice',
+  unplugged: 'mic.unplugged',
+  failed: 'mic.failed',
+};
+
+// Global shortcuts, matched on KeyboardEvent.code so Alt+letter works on macOS too.
+const SHORTCUTS = {
+  voice: { code: 'KeyV', alt: true, label: 'Alt+V' },   // start / end voice chat
+  pause: { code: 'KeyP', alt: true, label: 'Alt+P' },   // pause / resume
+  end:   { code: 'Escape', label: 'Escape' },           // leave the voice overlay
+};
+
+const matches = (e, { code, alt = false }) =>
+  e.code === code && e.altKey === alt && !e.ctrlKey && !e.metaKey;
+
+const STATUS_TEXT = {
+  ready: 'status.ready',
+  listening: 'status.listening',
+  transcribing: 'status.transcribing',
+  speaking: 'status.speaking',
+};
+
+const TURN_HINTS = {
+  paused: 'hint.paused',
+  "still-there": 'hint.stillThere',
+};
+
 export default function App() {
   const userVisualizerRef = useRef(null);
-  const { chatHistory, isChatting, startChat, stopChat, status } = useVoiceChat(userVisualizerRef);
+  const [settings, updateSettings] = useSettings();
+  const i18n = useMemo(() => createI18n(settings.language), [settings.language]);
+  const { t } = i18n;
+  const devices = useMediaDevices();
+  const visualiser = useVisualiserLevel(settings.visualiser);
+  const {
+    chatHistory, isChatting, startChat, stopChat, sendText, status, reconnecting,
+    error, retry, dismissError, safetyEvent, spokenWord, partialTranscript, finishedReply, metrics,
+    sessionId, resumeSession, newSession, renameSession, deleteSession,
+    pressTalk, releaseTalk, turnHint, finishTurn, paused, pauseChat, resumeChat,
+  } = useVoiceSession(userVisualizerRef, {
+    transport: VOICE_TRANSPORT,
+    apiBase: API_BASE,
+    capture: MIC_CAPTURE,
+    inputDeviceId: settings.inputDeviceId,
+    outputDeviceId: settings.outputDeviceId,
+    recordAudio: settings.recordAudio,
+    audioRetentionMb: settings.audioRetentionMb,
+    onMetrics: reportTurn,
+    inputMode: settings.inputMode,
+    silenceMs: settings.silenceMs,
+    extendedPause: settings.extendedPause,
+    stillThereMs: settings.stillThereMs,
+    language: i18n.language,
+    locale: i18n.locale,
+  });
+  const overlayRef = useRef(null);
+  useFocusTrap(overlayRef, isChatting);
+  const sessions = useSessions();
+  const [showSessions, setShowSessions] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+
+  // Mic errors get the banner by the mic button; everything else a toast.
+  // A failed attempt wins; otherwise warn before the user even tries.
+  const micError = error?.type === 'mic' ? error : null;
+  const micProblem = micError?.reason
+    ?? (devices.permission === 'denied' ? 'denied' : devices.noInput ? 'no-device' : null);
+
+  const handleExport = (format, options) => {
+    const stored = sessions.find(s => s.id === sessionId);
+    const session = {
+      id: sessionId,
+      title: stored?.title || t('sessions.untitled'),
+      createdAt: stored?.createdAt,
+      updatedAt: stored?.updatedAt,
+      messages: chatHistory,
+    };
+    const done = format === 'print'
+      ? openPrintableTranscript(session, { ...options, language: i18n.language })
+      : downloadTranscript(session, format, { ...options, language: i18n.language });
+    done.catch(err => console.warn('Transcript export failed', err));
+  };
+
+  const handleImport = async (file) => {
+    try {
+      const id = await importTranscript(await file.text(), { maxBytes: settings.audioRetentionMb * 1024 * 1024 });
+      resumeSession(id);
+    } catch (err) {
+      console.warn('Transcript import failed', err);
+      const reason = err instanceof TranscriptError ? t(`import.${err.code}`, err.details) : t('error.generic');
+      window.alert(t('chat.importFailed', { name: file.name, error: reason }));
+    }
+  };
+
+  const lastAssistantIdx = chatHistory.findLastIndex(m => m.role === 'assistant');
+
+  // Rendered inside the voice dialog while it's open – the focus trap would
+  // otherwise keep keyboard users away from Retry / End / Dismiss.
+  const errorToast = error && !micError && (
+    <ErrorToast
+      error={error}
+      onRetry={error.type === 'storage' ? undefined : retry}   // nothing to retry – the sidebar action can be repeated
+      onEnd={isChatting ? stopChat : undefined}
+      onDismiss={dismissError}
+    />
+  );
+  const pushToTalk = settings.inputMode === 'push-to-talk';
+
+  // The session's actions are new functions every render; the key listeners
+  // below call the latest ones instead of re-subscribing each time.
+  const actionsRef = useRef(null);
+  actionsRef.current = { pressTalk, releaseTalk, startChat, stopChat, pauseChat, resumeChat };
+
+  // Hold Space to talk – unless the user is typing somewhere.
+  useEffect(() => {
+    if (!isChatting || !pushToTalk) return;
+    const isTyping = (el) => el?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el?.tagName);
+    const release = () => actionsRef.current.releaseTalk();
+    const onKeyDown = (e) => {
+      if (e.code !== 'Space' || isTyping(e.target)) return;
+      e.preventDefault();
+      if (!e.repeat) actionsRef.current.pressTalk();
+    };
+    const onKeyUp = (e) => {
+      if (e.code !== 'Space' || isTyping(e.target)) return;
+      e.preventDefault();
+      release();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    window.addEventListener('keyup', onKeyUp);
+    window.addEventListener('blur', release);   // key-up never arrives once focus is gone
+    return () => {
+      window.removeEventListener('keydown', onKeyDown);
+      window.removeEventListener('keyup', onKeyUp);
+      window.removeEventListener('blur', release);
+    };
+  }, [isChatting, pushToTalk]);
+
+  // Alt+V voice on/off, Alt+P pause, Escape leaves the overlay.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      const actions = actionsRef.current;
+      if (matches(e, SHORTCUTS.voice)) {
+        e.preventDefault();
+        if (isChatting) actions.stopChat();
+        else actions.startChat();
+      } else if (isChatting && matches(e, SHORTCUTS.pause)) {
+        e.preventDefault();
+        if (paused) actions.resumeChat();
+        else actions.pauseChat();
+      } else if (isChatting && matches(e, SHORTCUTS.end)) {
+        e.preventDefault();
+        actions.stopChat();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [isChatting, paused]);
+
+  // One line for the pill and the screen-reader live region.
+  const statusKey = !isChatting ? null
+    : reconnecting ? 'status.reconnecting'
+    : paused ? 'status.paused'
+    : (status === 'listening' && TURN_HINTS[turnHint]) || STATUS_TEXT[status];
+  const statusText = statusKey ? t(statusKey) : null;
+
+  // Page language and direction follow the picker – RTL layouts flip via logical (start/end) classes.
+  useEffect(() => {
+    document.documentElement.lang = i18n.language;
+    document.documentElement.dir = i18n.dir;
+  }, [i18n]);
 
   // Auto-scroll to bottom on new messages
   useEffect(() => {
     const chatContainer = document.getElementById('chat-messages');
     if (chatContainer) chatContainer.scrollTop = chatContainer.scrollHeight;
-  }, [chatHistory]);
+  }, [chatHistory, partialTranscript]);
 
   return (
-    <div className="min-h-screen bg-gray-100 w-dvw p-[16px] flex items-center justify-center font-inter">
-      {/* Main chat window */}
-      <div className="relative lg:!w-[80%] xl:!w-[80%] h-[80vh] w-full bg-white rounded-2xl shadow-xl flex flex-col overflow-hidden">
-        {/* Header */}
-        <div className="p-4 bg-gradient-to-r from-purple-600 to-indigo-600 text-white text-center text-xl font-semibold rounded-t-2xl shadow-md">
-          AI Therapist
-        </div>
+    <I18nContext.Provider value={i18n}>
+      <div className="min-h-screen bg-gray-100 w-dvw p-[16px] flex items-center justify-center font-inter">
+        {/* Main chat window */}
+        <div className="relative lg:!w-[80%] xl:!w-[80%] h-[80vh] w-full bg-white rounded-2xl shadow-xl flex flex-col overflow-hidden">
+          {/* Header */}
+          <div className="relative p-4 bg-gradient-to-r from-purple-600 to-indigo-600 text-white text-center text-xl font-semibold rounded-t-2xl shadow-md">
+            <button
+              onClick={() => setShowSessions(v => !v)}
+              title={showSessions ? t('sessions.hide') : t('sessions.show')}
+              aria-expanded={showSessions}
+              className="absolute start-4 top-1/2 -translate-y-1/2 p-1 rounded-md text-white/80 hover:text-white hover:bg-white/10"
+            >
+              <PanelLeft className="h-5 w-5" />
+            </button>
+            {t('chat.title')}
+            <div className="absolute end-4 top-1/2 -translate-y-1/2 flex items-center gap-1">
+              <ExportMenu
+                onExport={handleExport}
+                disabled={!chatHistory.some(m => m.role === 'user')}
+                hasAudio={chatHistory.some(m => m.audioId)}
+                className="relative"
+              />
+              <button
+                onClick={() => setShowSettings(v => !v)}
+                title={showSettings ? t('settings.hide') : t('settings.show')}
+                aria-expanded={showSettings}
+                className="p-1 rounded-md text-white/80 hover:text-white hover:bg-white/10"
+              >
+                <Settings className="h-5 w-5" />
+              </button>
+            </div>
+          </div>
+
+          <div className="flex-1 flex min-h-0">
+            {/* Past sessions */}
+            {showSessions && (
+              <SessionSidebar
+                sessions={sessions}
+                currentId={sessionId}
+                onSelect={resumeSession}
+                onNew={newSession}
+                onRename={renameSession}
+                onDelete={deleteSession}
+                onImport={handleImport}
+              />
+            )}
+
+            <div className="flex-1 min-w-0 flex flex-col">
+              {/* Messages */}
+              {/* Not live itself – streamed tokens and caption highlights would be re-read constantly; LiveAnnouncer reads finished replies */}
+              <div id="chat-messages" role="log" aria-live="off" aria-label={t('chat.log')} tabIndex={0} className="flex-1 p-4 overflow-y-auto custom-scrollbar">
+                {safetyEvent && <SafetyPanel event={safetyEvent} />}
+                {chatHistory.map((msg, idx) => msg.role === 'event' ? (
+                  <div key={idx} className="mb-4 text-center text-xs text-gray-400">{msg.content}</div>
+                ) : (
+                  <div key={idx} className={`flex mb-4 ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+                    <div className={`max-w-[75%] px-4 py-2 rounded-xl shadow-sm ${msg.role === 'user' ? 'bg-blue-500 text-white rounded-ee-none' : 'bg-gray-200 text-gray-800 rounded-es-none'}`}>
+                      <CaptionText text={msg.content} wordIndex={idx === lastAssistantIdx ? spokenWord : null} />
+                      {msg.audioId && <ReplayButton audioId={msg.audioId} sinkId={settings.outputDeviceId} className="ms-2 align-middle" />}
+                    </div>
+                  </div>
+                ))}
+                {/* Provisional – replaced by the final transcript */}
+                {partialTranscript && (
+                  <div className="flex mb-4 justify-end">
+                    <div className="max-w-[75%] px-4 py-2 rounded-xl rounded-ee-none bg-blue-100 text-gray-500 italic">{partialTranscript}…</div>
+                  </div>
+                )}
+              </div>
 
-        {/* Messages */}
-        <div id="chat-messages" className="flex-1 p-4 overflow-y-auto custom-scrollbar">
-          {chatHistory.map((msg, idx) => (
-            <div key={idx} className={`flex mb-4 ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}>
-              <div className={`max-w-[75%] px-4 py-2 rounded-xl shadow-sm ${msg.role === 'user' ? 'bg-blue-500 text-white rounded-br-none' : 'bg-gray-200 text-gray-800 rounded-bl-none'}`}>{msg.content}</div>
+              {/* Mic problem */}
+              {micProblem && (
+                <div role="alert" className="mx-4 mb-2 px-3 py-2 flex items-center gap-3 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg">
+                  <span className="flex-1">{t(MIC_PROBLEMS[micProblem])}</span>
+                  <button onClick={micError ? retry : startChat} className="font-medium hover:underline">{t('action.retry')}</button>
+                  <button onClick={() => setShowSettings(true)} className="font-medium hover:underline">{t('action.settings')}</button>
+                </div>
+              )}
+
+              {/* Composer + mic toggle */}
+              <div className="p-4 bg-white border-t border-gray-200 flex justify-center items-center gap-3">
+                <Composer onSend={sendText} />
+                <button
+                  onClick={isChatting ? stopChat : startChat}
+                  aria-label={isChatting ? t('voice.end') : t('voice.start')}
+                  title={`${isChatting ? t('voice.end') : t('voice.start')} (${SHORTCUTS.voice.label})`}
+                  aria-keyshortcuts={SHORTCUTS.voice.label}
+                  className="p-3 bg-gradient-to-r from-purple-500 to-indigo-500 text-white rounded-full shadow-lg hover:shadow-xl focus:outline-none focus:ring-4 focus:ring-purple-300 transition-all duration-200 ease-in-out transform hover:scale-105"
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-7 w-7" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                    <path d="M12 14c1.66 0 3-1.34 3-3V5c0-1.66-1.34-3-3-3S9 3.34 9 5v6c0 1.66 1.34 3 3 3z" />
+                    <path d="M17 11c0 2.76-2.24 5-5 5s-5-2.24-5-5H5c0 3.53 2.61 6.43 6 6.92V21h2v-3.08c3.39-.49 6-3.39 6-6.92h-2z" />
+                  </svg>
+                </button>
+              </div>
             </div>
-          ))}
-        </div>
 
-        {/* Mic toggle */}
-        <div className="p-4 bg-white border-t border-gray-200 flex justify-center items-center">
-          <button onClick={isChatting ? stopChat : startChat} className="p-3 bg-gradient-to-r from-purple-500 to-indigo-500 text-white rounded-full shadow-lg hover:shadow-xl focus:outline-none focus:ring-4 focus:ring-purple-300 transition-all duration-200 ease-in-out transform hover:scale-105">
-            <svg xmlns="http://www.w3.org/2000/svg" className="h-7 w-7" viewBox="0 0 24 24" fill="currentColor">
-              <path d="M12 14c1.66 0 3-1.34 3-3V5c0-1.66-1.34-3-3-3S9 3.34 9 5v6c0 1.66 1.34 3 3 3z" />
-              <path d="M17 11c0 2.76-2.24 5-5 5s-5-2.24-5-5H5c0 3.53 2.61 6.43 6 6.92V21h2v-3.08c3.39-.49 6-3.39 6-6.92h-2z" />
-            </svg>
-          </button>
+            {showSettings && (
+              <SettingsPanel
+                settings={settings}
+                onChange={updateSettings}
+                devices={devices}
+                onClose={() => setShowSettings(false)}
+              />
+            )}
+          </div>
         </div>
-      </div>
 
-      {/* Overlay blob + End button while chatting */}
-      {isChatting && (
-        <div className="fixed top-0 left-0 w-dvw h-dvh flex items-center justify-center z-20 bg-black/50 backdrop-blur-sm pointer-events-auto">
-          {status !== 'idle' && (
-            <div className="absolute bottom-24 left-1/2 -translate-x-1/2 px-3 py-1 bg-white/60 text-gray-700 text-xs rounded-full shadow backdrop-blur-md z-30">
-              {status === 'listening' && 'Listening…'}
-              {status === 'transcribing' && 'Transcribing…'}
-              {status === 'speaking' && 'Speaking…'}
+        {!isChatting && errorToast}
+
+        {settings.showMetrics && <MetricsOverlay metrics={metrics} />}
+
+        <LiveAnnouncer status={statusText} reply={finishedReply} />
+
+        {/* Overlay blob + End button while chatting */}
+        {isChatting && (
+          <div
+            ref={overlayRef}
+            role="dialog"
+            aria-modal="true"
+            aria-label={t('voice.dialog')}
+            tabIndex={-1}
+            className="fixed top-0 left-0 w-dvw h-dvh flex items-center justify-center z-20 bg-black/50 backdrop-blur-sm pointer-events-auto focus:outline-none"
+          >
+            {/* What the user is saying, as heard so far */}
+            {partialTranscript && (
+              <p aria-hidden="true" className="absolute bottom-36 left-1/2 -translate-x-1/2 w-[min(90vw,40rem)] px-4 text-center italic text-white/70 z-30">
+                {partialTranscript}…
+              </p>
+            )}
+
+            {/* Live captions – the chat is hidden behind the overlay */}
+            {spokenWord != null && lastAssistantIdx >= 0 && (
+              <p aria-hidden="true" className="absolute top-10 left-1/2 -translate-x-1/2 w-[min(90vw,40rem)] max-h-[30vh] overflow-y-auto px-4 text-center text-lg leading-relaxed text-white/90 z-30">
+                <CaptionText text={chatHistory[lastAssistantIdx].content} wordIndex={spokenWord} />
+              </p>
+            )}
+            <button
+              onClick={() => updateSettings({ inputMode: pushToTalk ? 'hands-free' : 'push-to-talk' })}
+              title={t('mode.switch')}
+              aria-label={t('mode.current', { mode: pushToTalk ? t('mode.pushToTalk') : t('mode.handsFree') })}
+              className="absolute top-4 end-4 px-3 py-1 bg-white/20 text-white/90 text-xs rounded-full shadow backdrop-blur-md hover:bg-white/30 z-30"
+            >
+              {pushToTalk ? t('mode.pushToTalk') : t('mode.handsFree')}
+            </button>
+
+            {/* Announced by LiveAnnouncer */}
+            {statusText && (
+              <div aria-hidden="true" className={`absolute bottom-24 left-1/2 -translate-x-1/2 px-3 py-1 text-xs rounded-full shadow backdrop-blur-md z-30 ${
+                reconnecting ? "bg-amber-100/80 text-amber-800" : "bg-white/60 text-gray-700"
+              }`}>
+                {statusText}
+              </div>
+            )}
+            <div className="absolute bottom-10 left-1/2 -translate-x-1/2 flex items-center gap-4 z-30">
+              <button
+                onClick={paused ? resumeChat : pauseChat}
+                title={`${paused ? t('voice.resume') : t('voice.pause')} (${SHORTCUTS.pause.label})`}
+                aria-label={paused ? t('voice.resume') : t('voice.pause')}
+                aria-keyshortcuts={SHORTCUTS.pause.label}
+                className="p-3 bg-white/90 text-purple-700 rounded-full shadow-lg hover:shadow-xl focus:outline-none focus:ring-4 focus:ring-purple-300 transition-all duration-200 ease-in-out hover:scale-105"
+              >
+                {paused ? <Play className="h-5 w-5" aria-hidden="true" /> : <Pause className="h-5 w-5" aria-hidden="true" />}
+              </button>
+              {pushToTalk && !paused && (
+                <button
+                  onPointerDown={(e) => { e.currentTarget.setPointerCapture(e.pointerId); pressTalk(); }}
+                  onPointerUp={releaseTalk}
+                  onPointerCancel={releaseTalk}
+                  onContextMenu={(e) => e.preventDefault()}
+                  aria-pressed={status === 'listening'}
+                  aria-keyshortcuts="Space"
+                  className={`px-6 py-3 rounded-full shadow-lg select-none touch-none focus:outline-none focus:ring-4 focus:ring-purple-300 transition-all duration-200 ease-in-out ${
+                    status === 'listening' ? "bg-purple-500 text-white scale-105" : "bg-white text-purple-700 hover:shadow-xl"
+                  }`}
+                >
+                  {status === 'listening' ? t('voice.releaseToSend') : t('voice.holdToTalk')}
+                </button>
+              )}
+              {!pushToTalk && !paused && status === 'listening' && (
+                <button onClick={finishTurn} className="px-6 py-3 bg-white text-purple-700 rounded-full shadow-lg hover:shadow-xl focus:outline-none focus:ring-4 focus:ring-purple-300 transition-all duration-200 ease-in-out hover:scale-105">
+                  {t('voice.done')}
+                </button>
+              )}
+              <button onClick={stopChat} aria-keyshortcuts={SHORTCUTS.end.label} className="px-6 py-3 bg-red-600 text-white rounded-full shadow-lg hover:shadow-xl focus:outline-none focus:ring-4 focus:ring-red-300 transition-all duration-200 ease-in-out hover:scale-105">
+                {t('voice.endButton')}
+              </button>
             </div>
-          )}
-          <button onClick={stopChat} className="absolute bottom-10 left-1/2 -translate-x-1/2 px-6 py-3 bg-red-600 text-white rounded-full shadow-lg hover:shadow-xl focus:outline-none focus:ring-4 focus:ring-red-300 transition-all duration-200 ease-in-out hover:scale-105 z-30">
-            End voice
-          </button>
-
-          <Canvas style={{ width: 500, height: 500, pointerEvents: 'none' }}>
-            <ambientLight intensity={0.5} />
-            <directionalLight position={[5, 5, 5]} />
-            <AudioBlob ref={userVisualizerRef} />
-          </Canvas>
-        </div>
-      )}
-
-      {/* Custom scroll bar + font */}
-      <style>{`
-        .custom-scrollbar::-webkit-scrollbar { width: 8px; }
-        .custom-scrollbar::-webkit-scrollbar-track { background: #f1f1f1; border-radius: 10px; }
-        .custom-scrollbar::-webkit-scrollbar-thumb { background: #888; border-radius: 10px; }
-        .custom-scrollbar::-webkit-scrollbar-thumb:hover { background: #555; }
-        @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap');
-        .font-inter { font-family: 'Inter', sans-serif; }
-      `}</style>
-    </div>
+
+            {errorToast}
+
+            <Visualiser
+              ref={userVisualizerRef}
+              level={visualiser.level}
+              state={blobStateFor({ status, paused, error })}
+              onSlow={visualiser.reportSlow}
+            />
+          </div>
+        )}
+
+        {/* Custom scroll bar + font */}
+        <style>{`
+          .custom-scrollbar::-webkit-scrollbar { width: 8px; }
+          .custom-scrollbar::-webkit-scrollbar-track { background: #f1f1f1; border-radius: 10px; }
+          .custom-scrollbar::-webkit-scrollbar-thumb { background: #888; border-radius: 10px; }
+          .custom-scrollbar::-webkit-scrollbar-thumb:hover { background: #555; }
+          @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap');
+          .font-inter { font-family: 'Inter', sans-serif; }
+        `}</style>
+      </div>
+    </I18nContext.Provider>
   );
 }
\ No newline at end of file
@@ -0,0 +1,116 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from './App.jsx';
+import useVoiceSession from './hooks/useVoiceSession.js';
+import { axeViolations } from './test/axe.js';
+
+// The voice session, devices and WebGL are browser-only – the UI is tested against stand-ins.
+vi.mock('./hooks/useVoiceSession.js', () => ({ default: vi.fn() }));
+vi.mock('./hooks/useSessions.js', () => ({ default: () => [] }));
+vi.mock('./hooks/useMediaDevices.js', () => ({
+  CAN_SELECT_OUTPUT: false,
+  default: () => ({ inputs: [], outputs: [], permission: 'granted', noInput: false, requestAccess: () => {} }),
+}));
+vi.mock('./hooks/useVisualiserLevel.js', () => ({ default: () => ({ level: 'static', reportSlow: () => {} }) }));
+vi.mock('./components/visualiser/index.jsx', () => ({ default: () => null }));
+
+let session;
+
+const mockSession = (overrides = {}) => {
+  session = {
+    chatHistory: [{ role: 'assistant', content: 'Hello', at: 0 }],
+    isChatting: false, status: 'idle', paused: false, reconnecting: false,
+    error: null, safetyEvent: null, spokenWord: null, partialTranscript: null, turnHint: null,
+    finishedReply: null, metrics: { current: null, turns: [] }, sessionId: 's1',
+    startChat: vi.fn(), stopChat: vi.fn(), sendText: vi.fn(), retry: vi.fn(), dismissError: vi.fn(),
+    pauseChat: vi.fn(), resumeChat: vi.fn(), pressTalk: vi.fn(), releaseTalk: vi.fn(), finishTurn: vi.fn(),
+    resumeSession: vi.fn(), newSession: vi.fn(),
+    ...overrides,
+  };
+  useVoiceSession.mockReturnValue(session);
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  mockSession();
+});
+
+describe('keyboard shortcuts', () => {
+  it('Alt+V starts voice, and ends it while chatting', async () => {
+    const user = userEvent.setup();
+    const { rerender } = render(<App />);
+    await user.keyboard('{Alt>}v{/Alt}');
+    expect(session.startChat).toHaveBeenCalledTimes(1);
+
+    mockSession({ isChatting: true, status: 'listening' });
+    rerender(<App />);
+    await user.keyboard('{Alt>}v{/Alt}');
+    expect(session.stopChat).toHaveBeenCalledTimes(1);
+  });
+
+  it('Alt+P pauses and resumes during a chat', async () => {
+    const user = userEvent.setup();
+    mockSession({ isChatting: true, status: 'listening' });
+    const { rerender } = render(<App />);
+    await user.keyboard('{Alt>}p{/Alt}');
+    expect(session.pauseChat).toHaveBeenCalledTimes(1);
+
+    mockSession({ isChatting: true, status: 'listening', paused: true });
+    rerender(<App />);
+    await user.keyboard('{Alt>}p{/Alt}');
+    expect(session.resumeChat).toHaveBeenCalledTimes(1);
+  });
+
+  it('Escape ends a chat and does nothing otherwise', async () => {
+    const user = userEvent.setup();
+    const { rerender } = render(<App />);
+    await user.keyboard('{Escape}');
+    expect(session.stopChat).not.toHaveBeenCalled();
+
+    mockSession({ isChatting: true, status: 'listening' });
+    rerender(<App />);
+    await user.keyboard('{Escape}');
+    expect(session.stopChat).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('voice dialog', () => {
+  it('takes focus and keeps Tab inside, including the error toast', async () => {
+    const user = userEvent.setup();
+    mockSession({ isChatting: true, status: 'listening', error: { type: 'network', retrying: false } });
+    render(<App />);
+    const dialog = screen.getByRole('dialog');
+    expect(document.activeElement).toBe(dialog);
+
+    const retry = within(dialog).getByRole('button', { name: 'Retry' });
+    const reached = new Set();
+    for (let i = 0; i < 10; i++) {
+      await user.tab();
+      expect(dialog.contains(document.activeElement)).toBe(true);
+      reached.add(document.activeElement);
+    }
+    expect(reached.has(retry)).toBe(true);
+  });
+
+  it('has no axe violations', async () => {
+    mockSession({ isChatting: true, status: 'listening', error: { type: 'network', retrying: false } });
+    const { container } = render(<App />);
+    expect(await axeViolations(container)).toEqual([]);
+  });
+});
+
+describe('live region', () => {
+  it('announces the status, and a reply only once it has finished in a live turn', () => {
+    mockSession({ isChatting: true, status: 'listening' });
+    const { container, rerender } = render(<App />);
+    expect(screen.getByRole('status').textContent).toBe('Listening…');
+    const replyRegion = [...container.querySelectorAll('.sr-only[aria-live]')].find(el => el.getAttribute('role') !== 'status');
+    expect(replyRegion.textContent).toBe('');   // the greeting isn't read
+
+    mockSession({ isChatting: true, status: 'speaking', finishedReply: { text: 'I hear you.', at: 1 } });
+    rerender(<App />);
+    expect(screen.getByRole('status').textContent).toBe('Speaking…');
+    expect(replyRegion.textContent).toBe('I hear you.');
+  });
+});
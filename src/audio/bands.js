@@ -0,0 +1,36 @@
+/* ---------------------------------------------------------------------------
+   Spectrum bands for the visualiser.
+
+   An AnalyserNode's byte spectrum split where voice character lives: low
+   (< 300 Hz – pitch and warmth), mid (300–2000 Hz – vowels) and high
+   (> 2000 Hz – sibilance and breath). Each band is the mean of its bins,
+   0–255 like the analyser's own bytes; `level` is the whole-spectrum mean.
+--------------------------------------------------------------------------- */
+export const BAND_EDGES_HZ = { lowMid: 300, midHigh: 2000 };
+
+const buffers = new WeakMap();   // analyser → reused Uint8Array
+
+/** `{ level, low, mid, high }` of the analyser's current spectrum; all 0 without one. */
+export function readBands(analyser) {
+  if (!analyser) return { level: 0, low: 0, mid: 0, high: 0 };
+  let data = buffers.get(analyser);
+  if (!data) buffers.set(analyser, data = new Uint8Array(analyser.frequencyBinCount));
+  analyser.getByteFrequencyData(data);
+
+  const hzPerBin = analyser.context.sampleRate / analyser.fftSize;
+  const lowEnd = Math.max(1, Math.round(BAND_EDGES_HZ.lowMid / hzPerBin));
+  const midEnd = Math.max(lowEnd + 1, Math.round(BAND_EDGES_HZ.midHigh / hzPerBin));
+
+  let low = 0, mid = 0, high = 0;
+  for (let i = 0; i < data.length; i++) {
+    if (i < lowEnd) low += data[i];
+    else if (i < midEnd) mid += data[i];
+    else high += data[i];
+  }
+  return {
+    level: (low + mid + high) / data.length,
+    low: low / lowEnd,
+    mid: mid / (midEnd - lowEnd),
+    high: high / Math.max(1, data.length - midEnd),
+  };
+}
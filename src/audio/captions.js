@@ -0,0 +1,27 @@
+/* ---------------------------------------------------------------------------
+   Caption timing – which word of the reply is being spoken right now.
+
+   With server word timings (`[{ word, start, end }]`, seconds from the start
+   of the reply audio) the answer is exact. Without them it is estimated:
+   spread evenly over the audio's duration once that is known,
+   otherwise at a typical speaking rate.
+--------------------------------------------------------------------------- */
+export const FALLBACK_WORDS_PER_SEC = 2.5;   // ≈150 wpm
+
+/** Index of the word being spoken `t` seconds into the audio, clamped to the text. */
+export function wordAt(t, { wordCount, timings = [], duration = NaN }) {
+  if (!wordCount) return null;
+  let idx;
+
+  if (timings.length) {
+    idx = 0;
+    while (idx + 1 < timings.length && timings[idx + 1].start <= t) idx += 1;
+  } else if (Number.isFinite(duration) && duration > 0) {
+    idx = Math.floor((t / duration) * wordCount);
+  } else {
+    idx = Math.floor(t * FALLBACK_WORDS_PER_SEC);
+  }
+  return Math.max(0, Math.min(idx, wordCount - 1));
+}
+
+export const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
@@ -0,0 +1,28 @@
+/**
+ * createDelayedMic – the mic source played through a `delayMs` delay line into
+ * a MediaStream, for MediaRecorder. A WebM recording started on a speech
+ * onset then begins `delayMs` before it – the WebM counterpart of the PCM
+ * capture's pre-roll buffer (./pcmCapture.js).
+ *
+ * The stream runs `delayMs` behind the mic, so a recording of it should stop
+ * that much later too, or the end of the utterance is lost.
+ */
+export function createDelayedMic(ctx, source, delayMs) {
+  const delay = ctx.createDelay(Math.max(1, delayMs / 1000));
+  delay.delayTime.value = delayMs / 1000;
+  const destination = ctx.createMediaStreamDestination();
+  destination.channelCount = 1;
+  source.connect(delay);
+  delay.connect(destination);
+
+  return {
+    stream: destination.stream,
+    delayMs,
+
+    close() {
+      try { source.disconnect(delay); } catch { /* ignored */ }
+      delay.disconnect();
+      destination.stream.getTracks().forEach(t => t.stop());
+    },
+  };
+}
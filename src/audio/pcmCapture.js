@@ -0,0 +1,89 @@
+const workletUrl = new URL('./worklets/pcm-capture-processor.js', import.meta.url);
+const loadedContexts = new WeakSet();
+
+export const PCM_SAMPLE_RATE = 16000;
+const FRAME_MS = 20;
+
+/**
+ * createPcmCapture – taps a mic source node and produces 16 kHz mono PCM16
+ * frames (20 ms each, as ArrayBuffers) from an AudioWorklet. While nothing is
+ * recording, the last `prerollMs` of frames are kept so a recording started
+ * on a speech onset can include the audio just before it – it must outlast
+ * the onset's detection delay, or the recording still starts mid-word.
+ */
+export async function createPcmCapture(ctx, source, { prerollMs = 600 } = {}) {
+  if (!loadedContexts.has(ctx)) {
+    await ctx.audioWorklet.addModule(workletUrl);
+    loadedContexts.add(ctx);
+  }
+
+  const node = new AudioWorkletNode(ctx, 'pcm-capture-processor', {
+    numberOfInputs: 1,
+    numberOfOutputs: 0,
+    channelCount: 1,
+    channelCountMode: 'explicit',
+    processorOptions: { targetRate: PCM_SAMPLE_RATE, frameMs: FRAME_MS },
+  });
+  source.connect(node);
+
+  const prerollFrames = Math.ceil(prerollMs / FRAME_MS);
+  let ring = [];
+  let sink = null;
+
+  node.port.onmessage = ({ data }) => {
+    if (sink) {
+      sink(data);
+      return;
+    }
+    ring.push(data);
+    if (ring.length > prerollFrames) ring.shift();
+  };
+
+  return {
+    /** Route frames to `onFrame`, optionally starting with the buffered pre-roll. */
+    record(onFrame, { preroll = false } = {}) {
+      if (preroll) ring.forEach(onFrame);
+      ring = [];
+      sink = onFrame;
+    },
+
+    /** Stop routing; frames go back to the pre-roll buffer. */
+    pause() {
+      sink = null;
+    },
+
+    close() {
+      sink = null;
+      ring = [];
+      node.port.onmessage = null;
+      try { source.disconnect(node); } catch { /* ignored */ }
+    },
+  };
+}
+
+/**
+ * PcmRecorder – the subset of the MediaRecorder interface the voice session
+ * uses, backed by a PCM capture: `ondataavailable({ data: ArrayBuffer })` per
+ * frame and `onstop` after stop().
+ */
+export class PcmRecorder {
+  constructor(capture, { preroll = false } = {}) {
+    this.capture = capture;
+    this.preroll = preroll;
+    this.state = 'inactive';
+    this.ondataavailable = null;
+    this.onstop = null;
+  }
+
+  start() {
+    this.state = 'recording';
+    this.capture.record(data => this.ondataavailable?.({ data }), { preroll: this.preroll });
+  }
+
+  stop() {
+    if (this.state === 'inactive') return;
+    this.state = 'inactive';
+    this.capture.pause();
+    queueMicrotask(() => this.onstop?.());
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * createStreamPlayer – plays one assistant reply from streamed `audio/mpeg`
+ * chunks. Appends through MediaSource where supported so playback starts on
+ * the first chunk; otherwise buffers the whole reply into a Blob.
+ *
+ *   push(chunk)  – queue a Uint8Array of MPEG data
+ *   end()        – no more chunks; `onEnded` fires once playback finishes
+ *   stop()       – halt immediately and drop anything still queued
+ *   pause()      – hold playback (chunks keep buffering); resume() carries on
+ *
+ * `onAudio(audioElement)` is called for every element that starts playing so
+ * the caller can route it through the visualiser. `mode` tells which path
+ * played the reply: 'mse' or 'blob'.
+ */
+export function createStreamPlayer({ onAudio, onEnded } = {}) {
+  let mse = typeof window !== 'undefined' && 'MediaSource' in window && MediaSource.isTypeSupported('audio/mpeg');
+
+  let audio        = null;
+  let url          = null;
+  let mediaSource  = null;
+  let sourceBuffer = null;
+  let queue        = [];     // Uint8Array[] awaiting append (MSE)
+  let chunks       = [];     // Uint8Array[] for blob fallback
+  let ending       = false;
+  let done         = false;
+  let held         = false;  // paused by the caller
+
+  const finish = () => {
+    if (done) return;
+    done = true;
+    if (url) URL.revokeObjectURL(url);
+    onEnded?.();
+  };
+
+  const startAudio = (src) => {
+    audio = new Audio(src);
+    audio.onended = finish;
+    audio.onerror = finish;
+    onAudio?.(audio);
+    if (!held) audio.play().catch(() => {});
+  };
+
+  /* -------------------- Fallback: buffer entire audio then play -------------------- */
+  const playBlob = () => {
+    url = URL.createObjectURL(new Blob(chunks, { type: 'audio/mpeg' }));
+    chunks = [];
+    startAudio(url);
+  };
+
+  const fallbackToBlob = () => {
+    mse = false;
+    audio.onended = audio.onerror = null;   // the MSE element never gets data
+    URL.revokeObjectURL(url);
+    url = null;
+    mediaSource = null;
+    queue = [];
+    if (ending) playBlob();
+  };
+
+  /* -------------------- Stream via MSE (desktop + most Android) -------------------- */
+  const pump = () => {
+    if (!sourceBuffer || sourceBuffer.updating) return;
+    if (queue.length) {
+      sourceBuffer.appendBuffer(queue.shift());
+      return;
+    }
+    if (ending && mediaSource?.readyState === 'open') {
+      try {
+        mediaSource.endOfStream();
+      } catch (err) {
+        console.warn('MediaSource endOfStream failed:', err);
+      }
+    }
+  };
+
+  const openMediaSource = () => {
+    mediaSource = new MediaSource();
+    const ms = mediaSource;
+    url = URL.createObjectURL(ms);
+
+    ms.addEventListener('sourceopen', () => {
+      if (done || mediaSource !== ms) return;
+      try {
+        sourceBuffer = ms.addSourceBuffer('audio/mpeg');
+      } catch (err) {
+        console.warn('MSE SourceBuffer creation failed, falling back to full download', err);
+        fallbackToBlob();
+        return;
+      }
+      chunks = [];                          // MSE is live – no need for the fallback copy
+      sourceBuffer.addEventListener('updateend', pump);
+      pump();
+    }, { once: true });
+
+    startAudio(url);
+  };
+
+  return {
+    push(chunk) {
+      if (done || ending) return;
+      if (!sourceBuffer) chunks.push(chunk); // kept until MSE is known to work
+      if (!mse) return;
+      queue.push(chunk);
+      if (!mediaSource) openMediaSource();
+      pump();
+    },
+
+    end() {
+      if (done || ending) return;
+      ending = true;
+      if (mse && mediaSource) pump();
+      else if (chunks.length) playBlob();
+      else finish();                        // reply had no audio at all
+    },
+
+    pause() {
+      held = true;
+      try { audio?.pause(); } catch { /* ignored */ }
+    },
+
+    resume() {
+      if (!held) return;
+      held = false;
+      if (!done) audio?.play().catch(() => {});
+    },
+
+    get mode() {
+      return mse ? 'mse' : 'blob';
+    },
+
+    stop() {
+      if (done) return;
+      done = true;
+      if (audio) {
+        audio.onended = audio.onerror = null;
+        try { audio.pause(); } catch { /* ignored */ }
+      }
+      if (sourceBuffer && mediaSource?.readyState === 'open') {
+        try { sourceBuffer.abort(); } catch { /* ignored */ }
+      }
+      if (url) URL.revokeObjectURL(url);
+      queue = [];
+      chunks = [];
+    },
+  };
+}
@@ -0,0 +1,61 @@
+const workletUrl = new URL('./worklets/vad-processor.js', import.meta.url);
+const loadedContexts = new WeakSet();
+
+/** Speech must last this long before it counts as an onset (option `minSpeechMs`). */
+export const MIN_SPEECH_MS = 120;
+
+/**
+ * createVad – voice activity detection for a mic source node, run in an
+ * AudioWorklet (see worklets/vad-processor.js for the algorithm).
+ *
+ *   onSpeech(active)  – speech started/stopped (after onset + hangover smoothing)
+ *   onUtteranceEnd()  – endOfSpeechMs of silence after speech
+ *
+ * Options (all optional): snrDb, minDb, calibrationMs, minSpeechMs, hangoverMs,
+ * endOfSpeechMs. Onsets are reported minSpeechMs after speech starts; the
+ * audio from before them is kept by the recorders – the PCM capture's pre-roll
+ * buffer (./pcmCapture.js) or the delayed mic stream (./delayedMic.js).
+ */
+export async function createVad(ctx, source, { onSpeech, onUtteranceEnd, ...options } = {}) {
+  if (!loadedContexts.has(ctx)) {
+    await ctx.audioWorklet.addModule(workletUrl);
+    loadedContexts.add(ctx);
+  }
+
+  const node = new AudioWorkletNode(ctx, 'vad-processor', {
+    numberOfInputs: 1,
+    numberOfOutputs: 0,      // a sink – processed without reaching the speakers
+    channelCount: 1,
+    channelCountMode: 'explicit',
+    processorOptions: { minSpeechMs: MIN_SPEECH_MS, ...options },
+  });
+  source.connect(node);
+
+  let speaking = false;
+  node.port.onmessage = ({ data }) => {
+    if (data.type === 'speech') {
+      speaking = data.active;
+      onSpeech?.(data.active);
+    } else if (data.type === 'utteranceend') {
+      onUtteranceEnd?.();
+    }
+  };
+
+  return {
+    get speaking() { return speaking; },
+
+    /** Start of a new utterance – keeps the learned noise floor. */
+    reset() {
+      node.port.postMessage({ type: 'reset' });
+    },
+
+    configure(opts) {
+      node.port.postMessage({ type: 'configure', ...opts });
+    },
+
+    close() {
+      node.port.onmessage = null;
+      try { source.disconnect(node); } catch { /* ignored */ }
+    },
+  };
+}
@@ -0,0 +1,25 @@
+/**
+ * encodeWav – wrap mono 16-bit PCM frames (ArrayBuffers of Int16 samples)
+ * in a WAV container so the browser can play them back.
+ */
+export function encodeWav(frames, sampleRate) {
+  const dataBytes = frames.reduce((n, f) => n + f.byteLength, 0);
+  const header = new DataView(new ArrayBuffer(44));
+  const writeTag = (offset, tag) => [...tag].forEach((ch, i) => header.setUint8(offset + i, ch.charCodeAt(0)));
+
+  writeTag(0, 'RIFF');
+  header.setUint32(4, 36 + dataBytes, true);
+  writeTag(8, 'WAVE');
+  writeTag(12, 'fmt ');
+  header.setUint32(16, 16, true);              // fmt chunk size
+  header.setUint16(20, 1, true);               // PCM
+  header.setUint16(22, 1, true);               // mono
+  header.setUint32(24, sampleRate, true);
+  header.setUint32(28, sampleRate * 2, true);  // byte rate
+  header.setUint16(32, 2, true);               // block align
+  header.setUint16(34, 16, true);              // bits per sample
+  writeTag(36, 'data');
+  header.setUint32(40, dataBytes, true);
+
+  return new Blob([header, ...frames], { type: 'audio/wav' });
+}
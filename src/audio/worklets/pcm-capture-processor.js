@@ -0,0 +1,70 @@
+/* ---------------------------------------------------------------------------
+   PCM capture – AudioWorklet side.
+
+   Resamples the mic from the context rate to `targetRate` (default 16 kHz),
+   converts to signed 16-bit and posts one transferable ArrayBuffer per
+   `frameMs` (default 20 ms) frame.
+--------------------------------------------------------------------------- */
+
+/** Anti-alias low-pass (RBJ cookbook biquad, direct form I). */
+class LowPass {
+  constructor(freq, q = Math.SQRT1_2) {
+    const w0 = (2 * Math.PI * freq) / sampleRate;
+    const alpha = Math.sin(w0) / (2 * q);
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+    this.b = [(1 - cos) / 2 / a0, (1 - cos) / a0, (1 - cos) / 2 / a0];
+    this.a = [(-2 * cos) / a0, (1 - alpha) / a0];
+    this.x1 = this.x2 = this.y1 = this.y2 = 0;
+  }
+
+  step(x) {
+    const y = this.b[0] * x + this.b[1] * this.x1 + this.b[2] * this.x2 - this.a[0] * this.y1 - this.a[1] * this.y2;
+    this.x2 = this.x1; this.x1 = x;
+    this.y2 = this.y1; this.y1 = y;
+    return y;
+  }
+}
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor({ processorOptions = {} } = {}) {
+    super();
+    const { targetRate = 16000, frameMs = 20 } = processorOptions;
+    this.step = sampleRate / targetRate;
+    this.filter = sampleRate > targetRate ? new LowPass(targetRate * 0.45) : null;
+    this.pos = 1;        // next output position, in input samples after `prev`
+    this.prev = 0;
+    this.frameSize = Math.round((targetRate * frameMs) / 1000);
+    this.frame = new Int16Array(this.frameSize);
+    this.fill = 0;
+  }
+
+  push(y) {
+    const s = Math.max(-1, Math.min(1, y));
+    this.frame[this.fill++] = s < 0 ? s * 0x8000 : s * 0x7fff;
+    if (this.fill === this.frameSize) {
+      this.port.postMessage(this.frame.buffer, [this.frame.buffer]);
+      this.frame = new Int16Array(this.frameSize);
+      this.fill = 0;
+    }
+  }
+
+  process(inputs) {
+    const channel = inputs[0]?.[0];
+    if (!channel) return true;
+
+    for (let i = 0; i < channel.length; i++) {
+      const x = this.filter ? this.filter.step(channel[i]) : channel[i];
+      // Linear interpolation between the previous input sample and this one.
+      while (this.pos <= 1) {
+        this.push(this.prev + (x - this.prev) * this.pos);
+        this.pos += this.step;
+      }
+      this.pos -= 1;
+      this.prev = x;
+    }
+    return true;
+  }
+}
+
+registerProcessor('pcm-capture-processor', PcmCaptureProcessor);
@@ -0,0 +1,137 @@
+/* ---------------------------------------------------------------------------
+   Voice activity detector – AudioWorklet side.
+
+   Per 20 ms frame: band-pass the mic to the speech band (300–3400 Hz), take
+   its energy in dB and compare it with an adaptive noise floor. Short blips
+   are ignored (minSpeechMs), short gaps are bridged (hangoverMs), and the
+   utterance ends after endOfSpeechMs of continuous silence.
+
+   Main thread → processor:  { type: 'configure', ...options } | { type: 'reset' }
+   Processor → main thread:  { type: 'calibrated', floorDb }
+                             { type: 'speech', active }
+                             { type: 'utteranceend' }
+--------------------------------------------------------------------------- */
+const FRAME_MS = 20;
+
+/** RBJ cookbook biquad, direct form I. */
+class Biquad {
+  constructor(kind, freq, q = Math.SQRT1_2) {
+    const w0 = (2 * Math.PI * freq) / sampleRate;
+    const alpha = Math.sin(w0) / (2 * q);
+    const cos = Math.cos(w0);
+    const b1 = kind === 'lowpass' ? 1 - cos : -(1 + cos);
+    const b0 = kind === 'lowpass' ? b1 / 2 : -b1 / 2;
+    const a0 = 1 + alpha;
+    this.b = [b0 / a0, b1 / a0, b0 / a0];
+    this.a = [(-2 * cos) / a0, (1 - alpha) / a0];
+    this.x1 = this.x2 = this.y1 = this.y2 = 0;
+  }
+
+  step(x) {
+    const y = this.b[0] * x + this.b[1] * this.x1 + this.b[2] * this.x2 - this.a[0] * this.y1 - this.a[1] * this.y2;
+    this.x2 = this.x1; this.x1 = x;
+    this.y2 = this.y1; this.y1 = y;
+    return y;
+  }
+}
+
+class VadProcessor extends AudioWorkletProcessor {
+  constructor({ processorOptions = {} } = {}) {
+    super();
+    this.opts = {
+      snrDb: 10,            // how far above the noise floor counts as speech
+      minDb: -65,           // absolute floor – never call anything quieter speech
+      calibrationMs: 500,   // initial noise-floor measurement
+      minSpeechMs: 120,     // onset: speech must last this long (MIN_SPEECH_MS in ../vad.js)
+      hangoverMs: 300,      // bridge gaps shorter than this
+      endOfSpeechMs: 1500,  // silence that ends the utterance
+      ...processorOptions,
+    };
+
+    this.highpass = new Biquad('highpass', 300);
+    this.lowpass  = new Biquad('lowpass', 3400);
+    this.frameSize = Math.round((sampleRate * FRAME_MS) / 1000);
+    this.frameEnergy = 0;
+    this.frameFill = 0;
+
+    this.floorDb = null;
+    this.calibration = [];
+    this.reset();
+
+    this.port.onmessage = ({ data }) => {
+      if (data.type === 'configure') {
+        const { type: _type, ...opts } = data;
+        this.opts = { ...this.opts, ...opts };
+      } else if (data.type === 'reset') {
+        this.reset();
+      }
+    };
+  }
+
+  /** New utterance: forget speech state, keep the learned noise floor. */
+  reset() {
+    this.active = false;
+    this.hadSpeech = false;
+    this.ended = false;
+    this.speechRun = 0;
+    this.silenceRun = 0;
+  }
+
+  onFrame(db) {
+    const o = this.opts;
+
+    if (this.floorDb === null) {
+      this.calibration.push(db);
+      if (this.calibration.length * FRAME_MS >= o.calibrationMs) {
+        this.floorDb = this.calibration.reduce((a, b) => a + b, 0) / this.calibration.length;
+        this.calibration = [];
+        this.port.postMessage({ type: 'calibrated', floorDb: this.floorDb });
+      }
+      return;
+    }
+
+    const isSpeech = db > this.floorDb + o.snrDb && db > o.minDb;
+    if (isSpeech) {
+      this.speechRun += FRAME_MS;
+      this.silenceRun = 0;
+    } else {
+      this.silenceRun += FRAME_MS;
+      this.speechRun = 0;
+      // Track the floor: fall quickly when the room gets quieter, rise slowly with steady noise.
+      this.floorDb += (db - this.floorDb) * (db < this.floorDb ? 0.2 : 0.02);
+    }
+
+    if (!this.active && this.speechRun >= o.minSpeechMs) {
+      this.active = true;
+      this.hadSpeech = true;
+      this.ended = false;
+      this.port.postMessage({ type: 'speech', active: true });
+    } else if (this.active && this.silenceRun >= o.hangoverMs) {
+      this.active = false;
+      this.port.postMessage({ type: 'speech', active: false });
+    }
+
+    if (this.hadSpeech && !this.active && !this.ended && this.silenceRun >= o.endOfSpeechMs) {
+      this.ended = true;
+      this.port.postMessage({ type: 'utteranceend' });
+    }
+  }
+
+  process(inputs) {
+    const channel = inputs[0]?.[0];
+    if (!channel) return true;
+
+    for (let i = 0; i < channel.length; i++) {
+      const y = this.lowpass.step(this.highpass.step(channel[i]));
+      this.frameEnergy += y * y;
+      if (++this.frameFill === this.frameSize) {
+        this.onFrame(10 * Math.log10(this.frameEnergy / this.frameSize + 1e-12));
+        this.frameEnergy = 0;
+        this.frameFill = 0;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor('vad-processor', VadProcessor);
@@ -0,0 +1,25 @@
+import PropTypes from "prop-types";
+
+/**
+ * LiveAnnouncer – screen-reader-only live regions: `status` is read as it
+ * changes; `reply` is the hook's `finishedReply`, which only changes when a
+ * reply completes in a live turn, so the greeting, a restored session or a
+ * re-translated greeting are never read out.
+ */
+export default function LiveAnnouncer({ status = null, reply = null }) {
+  return (
+    <>
+      <div role="status" aria-live="polite" className="sr-only">{status}</div>
+      {/* A fresh node per reply, so the same words twice are still read */}
+      <div aria-live="polite" className="sr-only"><span key={reply?.at}>{reply?.text}</span></div>
+    </>
+  );
+}
+
+LiveAnnouncer.propTypes = {
+  status: PropTypes.string,
+  reply: PropTypes.shape({
+    text: PropTypes.string.isRequired,
+    at: PropTypes.number,
+  }),
+};
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import LiveAnnouncer from './index.jsx';
+import { axeViolations } from '../../test/axe.js';
+
+describe('LiveAnnouncer', () => {
+  it('reads the status through a polite status region', () => {
+    render(<LiveAnnouncer status="Listening…" />);
+    const region = screen.getByRole('status');
+    expect(region.getAttribute('aria-live')).toBe('polite');
+    expect(region.textContent).toBe('Listening…');
+  });
+
+  it('stays quiet until a reply finishes', () => {
+    const { container, rerender } = render(<LiveAnnouncer />);
+    const [, replyRegion] = container.querySelectorAll('[aria-live]');
+    expect(replyRegion.textContent).toBe('');
+
+    rerender(<LiveAnnouncer reply={{ text: 'Tell me more.', at: 1 }} />);
+    expect(replyRegion.textContent).toBe('Tell me more.');
+  });
+
+  it('replaces the node when the same reply text finishes again', () => {
+    const { container, rerender } = render(<LiveAnnouncer reply={{ text: 'I see.', at: 1 }} />);
+    const [, replyRegion] = container.querySelectorAll('[aria-live]');
+    const first = replyRegion.firstChild;
+
+    rerender(<LiveAnnouncer reply={{ text: 'I see.', at: 2 }} />);
+    expect(replyRegion.firstChild).not.toBe(first);
+    expect(replyRegion.textContent).toBe('I see.');
+  });
+
+  it('has no axe violations', async () => {
+    const { container } = render(<LiveAnnouncer status="Speaking…" reply={{ text: 'Hello', at: 1 }} />);
+    expect(await axeViolations(container)).toEqual([]);
+  });
+});
@@ -1,14 +1,21 @@
 const fragmentShader = `
 uniform float u_intensity;
 uniform float u_time;
+uniform vec3 u_colorA;    // palette: gradient from the centre…
+uniform vec3 u_colorB;    // …to the edges
+uniform float u_mid;      // spectrum bands, 0 → 1
+uniform float u_high;
 
 varying vec2 vUv;
 varying float vDisplacement;
 
 void main() {
     float distort = 2.0 * vDisplacement * u_intensity * sin(vUv.y * 10.0 + u_time);
-    vec3 color = vec3(abs(vUv - 0.5) * 2.0  * (1.0 - distort), 1.0);
-    gl_FragColor = vec4(color, 1.0);
+    vec2 edge = abs(vUv - 0.5) * 2.0  * (1.0 - distort);
+    // Vowels (mids) push the palette towards its light end; sibilance (highs) glints.
+    vec3 color = mix(u_colorA, u_colorB, clamp((edge.x + edge.y) * 0.5 + u_mid * 0.35, 0.0, 1.0));
+    color += u_high * 0.25 * max(vDisplacement, 0.0);
+    gl_FragColor = vec4(min(color, vec3(1.0)), 1.0);
 }
 
 `;
@@ -1,30 +1,61 @@
 import React, { useMemo, useRef, forwardRef, useImperativeHandle } from "react";
+import { Vector3 } from "three";
 import vertexShader from "./vertexShader";
 import fragmentShader from "./fragmentShader";
 import { useFrame } from "@react-three/fiber";
+import { BLOB_STATES } from "./states";
 
+const EASE_PER_SEC = 4;   // how quickly the look follows a state change
 
 
 
-const Blob = forwardRef(({ speed = 0.4 }, ref) => {
+
+/**
+ * `state` picks one of BLOB_STATES (listening, thinking, speaking, paused,
+ * error…); palette, noise frequency, pulse and motion ease towards it.
+ * `u_intensity` and the band uniforms `u_low` / `u_mid` / `u_high` stay with
+ * the caller – they follow the audio.
+ */
+const Blob = forwardRef(({ speed = 0.4, state = "idle" }, ref) => {
   const mesh = useRef();
+  const elapsed = useRef(0);
+  const motion = useRef(BLOB_STATES.idle.speed);
   // Hover interactivity removed in visualiser context
   const uniforms = useMemo(() => {
+    const { colorA, colorB, frequency, pulse } = BLOB_STATES.idle;
     return {
       u_time: { value: 0 },
       u_intensity: { value: 0.3 },
+      u_colorA: { value: new Vector3(...colorA) },
+      u_colorB: { value: new Vector3(...colorB) },
+      u_frequency: { value: frequency },
+      u_pulse: { value: pulse },
+      // Spectrum bands 0–1, set by the caller alongside u_intensity
+      u_low: { value: 0 },
+      u_mid: { value: 0 },
+      u_high: { value: 0 },
     };
-  });
+  }, []);
+  const target = useMemo(() => {
+    const look = BLOB_STATES[state] ?? BLOB_STATES.idle;
+    return { ...look, colorA: new Vector3(...look.colorA), colorB: new Vector3(...look.colorB) };
+  }, [state]);
 
   // Expose underlying THREE.Mesh instance to parent via ref
   useImperativeHandle(ref, () => mesh.current);
 
-  useFrame((state) => {
-    const { clock } = state;
+  useFrame((_, delta) => {
     if (mesh.current) {
+      const { uniforms } = mesh.current.material;
+      const k = Math.min(1, delta * EASE_PER_SEC);
+      uniforms.u_colorA.value.lerp(target.colorA, k);
+      uniforms.u_colorB.value.lerp(target.colorB, k);
+      uniforms.u_frequency.value += (target.frequency - uniforms.u_frequency.value) * k;
+      uniforms.u_pulse.value += (target.pulse - uniforms.u_pulse.value) * k;
+      motion.current += (target.speed - motion.current) * k;
       // Drive the vertex shader time uniform using external speed prop
-      mesh.current.material.uniforms.u_time.value =
-        speed * clock.getElapsedTime();
+      elapsed.current += delta * motion.current;
+      uniforms.u_time.value = speed * elapsed.current;
     }
   });
   return (
@@ -0,0 +1,27 @@
+/**
+ * Looks the AudioBlob eases between, one per conversation state, so it's
+ * clear whose turn it is. Colours are linear RGB for the two ends of the
+ * gradient; `frequency` scales the surface noise, `pulse` the slow
+ * breathing of the whole shape and `speed` how fast the surface moves.
+ */
+export const BLOB_STATES = {
+  idle:      { colorA: [0.0, 0.0, 1.0],  colorB: [1.0, 1.0, 1.0],  frequency: 1.0, pulse: 0.0, speed: 1.0 },
+  listening: { colorA: [0.0, 0.55, 0.75], colorB: [0.75, 1.0, 0.95], frequency: 1.0, pulse: 0.0, speed: 1.0 },
+  thinking:  { colorA: [0.35, 0.2, 0.9],  colorB: [0.85, 0.8, 1.0],  frequency: 0.6, pulse: 1.0, speed: 0.5 },
+  speaking:  { colorA: [0.55, 0.1, 0.85], colorB: [1.0, 0.7, 0.9],   frequency: 1.8, pulse: 0.0, speed: 1.3 },
+  paused:    { colorA: [0.35, 0.35, 0.4], colorB: [0.75, 0.75, 0.8], frequency: 0.8, pulse: 0.0, speed: 0.0 },
+  error:     { colorA: [0.8, 0.1, 0.15],  colorB: [1.0, 0.75, 0.6],  frequency: 0.7, pulse: 0.5, speed: 0.4 },
+};
+
+/** Blob state for the voice session: `status` from useVoiceSession, plus its `paused` and `error`. */
+export function blobStateFor({ status, paused, error }) {
+  if (paused) return 'paused';
+  if (error) return 'error';
+  switch (status) {
+    case 'ready':
+    case 'listening':    return 'listening';
+    case 'transcribing': return 'thinking';
+    case 'speaking':     return 'speaking';
+    default:             return 'idle';
+  }
+}
@@ -1,6 +1,10 @@
 const vertexShader = `
 uniform float u_intensity;
 uniform float u_time;
+uniform float u_frequency;   // surface noise scale
+uniform float u_pulse;       // 0 → 1: breathing of the whole shape
+uniform float u_low;         // spectrum bands, 0 → 1
+uniform float u_high;
 
 varying vec2 vUv;
 varying float vDisplacement;
@@ -94,9 +98,14 @@ float cnoise(vec3 P) {
 void main() {
     vUv = uv;
 
-    vDisplacement = cnoise(position + vec3(2.0 * u_time));
+    vDisplacement = cnoise(position * u_frequency + vec3(2.0 * u_time));
   
-    vec3 newPosition = position + normal * (u_intensity * vDisplacement);
+    // Lows swell the shape in broad lobes, highs add fine ripples on top.
+    float swell  = cnoise(position * 0.5 + vec3(u_time));
+    float ripple = cnoise(position * u_frequency * 4.0 + vec3(3.0 * u_time));
+    float displacement = u_intensity * vDisplacement + u_low * 0.25 * swell + u_high * 0.12 * ripple;
+    vec3 newPosition = position + normal * displacement;
+    newPosition *= 1.0 + u_pulse * 0.06 * sin(u_time * 8.0);
   
     vec4 modelPosition = modelMatrix * vec4(newPosition, 1.0);
     vec4 viewPosition = viewMatrix * modelPosition;
@@ -0,0 +1,23 @@
+import PropTypes from "prop-types";
+
+/**
+ * CaptionText – message text with the word at `wordIndex` highlighted, so
+ * the reply can be followed while it is spoken. Whitespace is kept as-is.
+ */
+export default function CaptionText({ text, wordIndex = null }) {
+  if (wordIndex == null) return text;
+
+  let word = -1;
+  return text.split(/(\s+)/).map((part, i) => {
+    if (!part.trim()) return part;
+    word += 1;
+    return word === wordIndex
+      ? <mark key={i} className="bg-yellow-200 text-gray-900 rounded-sm px-0.5 -mx-0.5">{part}</mark>
+      : <span key={i}>{part}</span>;
+  });
+}
+
+CaptionText.propTypes = {
+  text: PropTypes.string.isRequired,
+  wordIndex: PropTypes.number,
+};
@@ -0,0 +1,58 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { Send, Volume2, VolumeX } from "lucide-react";
+import { useI18n } from "../../i18n/context.js";
+
+/**
+ * Composer – typed alternative to the mic. Each message can ask for a spoken
+ * or a text-only reply; the choice sticks until toggled again.
+ */
+export default function Composer({ onSend, disabled = false }) {
+  const [text, setText] = useState("");
+  const [speakReply, setSpeakReply] = useState(false);
+  const { t } = useI18n();
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    onSend(text, { speak: speakReply });
+    setText("");
+  };
+
+  return (
+    <form onSubmit={submit} className="flex flex-1 items-center gap-2">
+      <input
+        type="text"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        disabled={disabled}
+        placeholder={t("composer.placeholder")}
+        aria-label={t("composer.label")}
+        className="flex-1 min-w-0 px-4 py-2 rounded-full border border-gray-300 bg-gray-50 text-gray-800 focus:outline-none focus:ring-2 focus:ring-purple-300"
+      />
+      <button
+        type="button"
+        onClick={() => setSpeakReply(v => !v)}
+        title={speakReply ? t("composer.spoken") : t("composer.textOnly")}
+        aria-pressed={speakReply}
+        className={`p-2 rounded-full transition-colors ${speakReply ? "text-purple-600 bg-purple-100" : "text-gray-400 hover:text-gray-600"}`}
+      >
+        {speakReply ? <Volume2 className="h-5 w-5" aria-hidden="true" /> : <VolumeX className="h-5 w-5" aria-hidden="true" />}
+      </button>
+      <button
+        type="submit"
+        disabled={disabled || !text.trim()}
+        title={t("composer.send")}
+        aria-label={t("composer.send")}
+        className="p-2 text-purple-600 rounded-full hover:bg-purple-100 disabled:text-gray-300 disabled:hover:bg-transparent transition-colors"
+      >
+        <Send className="h-5 w-5" aria-hidden="true" />
+      </button>
+    </form>
+  );
+}
+
+Composer.propTypes = {
+  onSend: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
@@ -0,0 +1,79 @@
+import { useState, useEffect, useRef } from "react";
+import PropTypes from "prop-types";
+import { Download, FileJson, FileText, Printer } from "lucide-react";
+import { useI18n } from "../../i18n/context.js";
+
+const OPTIONS = [
+  { format: "markdown", label: "export.markdown", icon: <FileText className="h-4 w-4 text-gray-500" /> },
+  { format: "json", label: "export.json", icon: <FileJson className="h-4 w-4 text-gray-500" /> },
+  { format: "print", label: "export.print", icon: <Printer className="h-4 w-4 text-gray-500" /> },
+];
+
+/**
+ * ExportMenu – header button offering the transcript formats. When the
+ * conversation has kept audio, it can be embedded (JSON and print view).
+ */
+export default function ExportMenu({ onExport, disabled = false, hasAudio = false, className = "" }) {
+  const [open, setOpen] = useState(false);
+  const [includeAudio, setIncludeAudio] = useState(false);
+  const menuRef = useRef(null);
+  const { t } = useI18n();
+
+  // Close on any click outside the menu.
+  useEffect(() => {
+    if (!open) return;
+    const onPointerDown = (e) => !menuRef.current?.contains(e.target) && setOpen(false);
+    document.addEventListener("pointerdown", onPointerDown);
+    return () => document.removeEventListener("pointerdown", onPointerDown);
+  }, [open]);
+
+  return (
+    <div ref={menuRef} className={className}>
+      <button
+        onClick={() => setOpen(v => !v)}
+        disabled={disabled}
+        title={t("export.title")}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        className="p-1 rounded-md text-white/80 hover:text-white hover:bg-white/10 disabled:opacity-40 disabled:hover:bg-transparent"
+      >
+        <Download className="h-5 w-5" />
+      </button>
+      {open && (
+        <ul role="menu" className="absolute end-0 mt-2 w-52 py-1 text-sm font-normal text-start text-gray-700 bg-white rounded-lg shadow-lg z-30">
+          {OPTIONS.map(({ format, label, icon }) => (
+            <li key={format}>
+              <button
+                role="menuitem"
+                onClick={() => { setOpen(false); onExport(format, { includeAudio: hasAudio && includeAudio }); }}
+                className="w-full flex items-center gap-2 px-3 py-2 hover:bg-gray-100"
+              >
+                {icon} {t(label)}
+              </button>
+            </li>
+          ))}
+          {hasAudio && (
+            <li className="border-t border-gray-100 mt-1 pt-1">
+              <label className="flex items-center gap-2 px-3 py-2 text-xs text-gray-500">
+                <input
+                  type="checkbox"
+                  checked={includeAudio}
+                  onChange={(e) => setIncludeAudio(e.target.checked)}
+                  className="accent-purple-600"
+                />
+                {t("export.includeAudio")}
+              </label>
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+ExportMenu.propTypes = {
+  onExport: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+  hasAudio: PropTypes.bool,
+  className: PropTypes.string,
+};
@@ -0,0 +1,67 @@
+import PropTypes from "prop-types";
+import { TURN_MARKS } from "../../telemetry/turnMetrics.js";
+import { useI18n } from "../../i18n/context.js";
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+};
+
+/**
+ * MetricsOverlay – debug view of per-turn timings: the turn in progress (or
+ * the last one) next to the median of recent completed turns. Marks are
+ * labelled `metrics.<mark>`, turn kinds and outcomes `metrics.<value>`.
+ */
+export default function MetricsOverlay({ metrics }) {
+  const { t, locale } = useI18n();
+  const ms = (value) => (value == null ? "–" : new Intl.NumberFormat(locale, { style: "unit", unit: "millisecond" }).format(value));
+  const kb = (bytes) => new Intl.NumberFormat(locale, {
+    style: "unit", unit: "kilobyte", minimumFractionDigits: 1, maximumFractionDigits: 1,
+  }).format(bytes / 1024);
+  const turn = metrics.current ?? metrics.turns.at(-1);
+  const completed = metrics.turns.filter(t => t.outcome === "completed");
+
+  return (
+    <div className="fixed bottom-4 start-4 z-50 p-3 font-mono text-[11px] leading-tight text-green-300 bg-black/80 rounded-lg shadow-lg pointer-events-none">
+      {turn ? (
+        <>
+          <div className="mb-1 text-white">
+            #{turn.id} {t(`metrics.${turn.kind}`)} · {turn.transport} · {t(turn.outcome ? `metrics.${turn.outcome}` : "metrics.inProgress")}
+          </div>
+          <table>
+            <thead>
+              <tr className="text-gray-400">
+                <th className="pe-3 text-start font-normal">{t("metrics.sinceInput")}</th>
+                <th className="pe-3 text-end font-normal">{t("metrics.turn")}</th>
+                <th className="text-end font-normal">{t("metrics.median", { n: completed.length })}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {TURN_MARKS.map(name => (
+                <tr key={name}>
+                  <td className="pe-3">{t(`metrics.${name}`)}</td>
+                  <td className="pe-3 text-end">{ms(turn.marks[name])}</td>
+                  <td className="text-end">{ms(median(completed.map(t => t.marks[name]).filter(v => v != null)))}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="mt-1 text-gray-400">
+            ↑ {kb(turn.bytesSent)} · ↓ {kb(turn.bytesReceived)}{turn.playback && ` · ${turn.playback}`}
+          </div>
+        </>
+      ) : (
+        <div className="text-gray-400">{t("metrics.noTurns")}</div>
+      )}
+    </div>
+  );
+}
+
+MetricsOverlay.propTypes = {
+  metrics: PropTypes.shape({
+    current: PropTypes.object,
+    turns: PropTypes.arrayOf(PropTypes.object).isRequired,
+  }).isRequired,
+};
@@ -0,0 +1,66 @@
+import { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import { Play, Square } from "lucide-react";
+import { getClip } from "../../storage/audioStore.js";
+import { useI18n } from "../../i18n/context.js";
+
+// One replay at a time across all bubbles.
+let current = null;   // { audio, stop }
+
+/** ReplayButton – plays back the stored audio of one turn. */
+export default function ReplayButton({ audioId, sinkId = "", className = "" }) {
+  const [state, setState] = useState("idle");   // idle | playing | missing
+  const { t } = useI18n();
+
+  // Stop if the bubble goes away mid-replay.
+  useEffect(() => () => {
+    if (current?.audioId === audioId) current.stop();
+  }, [audioId]);
+
+  const play = async () => {
+    if (state === "playing") {
+      current?.stop();
+      return;
+    }
+    current?.stop();
+
+    const clip = await getClip(audioId).catch(() => null);
+    if (!clip) {
+      setState("missing");   // pruned by the retention limit
+      return;
+    }
+    const url = URL.createObjectURL(clip.blob);
+    const audio = new Audio(url);
+    if (sinkId && audio.setSinkId) audio.setSinkId(sinkId).catch(() => {});
+
+    const stop = () => {
+      audio.pause();
+      URL.revokeObjectURL(url);
+      if (current?.audio === audio) current = null;
+      setState("idle");
+    };
+    audio.onended = audio.onerror = stop;
+    current = { audio, audioId, stop };
+    setState("playing");
+    audio.play().catch(stop);
+  };
+
+  if (state === "missing") {
+    return <span className={`text-xs opacity-60 ${className}`}>{t("replay.missing")}</span>;
+  }
+  return (
+    <button
+      onClick={play}
+      title={state === "playing" ? t("replay.stop") : t("replay.play")}
+      className={`p-1 rounded-full opacity-70 hover:opacity-100 ${className}`}
+    >
+      {state === "playing" ? <Square className="h-3.5 w-3.5" /> : <Play className="h-3.5 w-3.5" />}
+    </button>
+  );
+}
+
+ReplayButton.propTypes = {
+  audioId: PropTypes.string.isRequired,
+  sinkId: PropTypes.string,
+  className: PropTypes.string,
+};
@@ -0,0 +1,73 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { ChevronDown, ChevronUp, LifeBuoy, MessageSquare, Phone } from "lucide-react";
+import { resourcesFor } from "../../safety/index.js";
+import { useI18n } from "../../i18n/context.js";
+
+/**
+ * SafetyPanel – crisis lines pinned above the conversation once a safety
+ * event has been logged. It can be collapsed but never dismissed, so there
+ * is always a path to a person.
+ */
+export default function SafetyPanel({ event }) {
+  const [collapsed, setCollapsed] = useState(false);
+  const { t } = useI18n();
+  const { emergency, lines: localLines } = resourcesFor(event.locale);
+  const lines = event.lines ?? localLines;
+  const [beforeNumber, afterNumber = ""] = t("safety.dangerCall").split("{number}");
+
+  return (
+    <section aria-label={t("safety.label")} className="sticky top-0 z-10 mb-4 p-3 text-sm text-rose-900 bg-rose-50 border border-rose-200 rounded-xl shadow-sm">
+      <button
+        onClick={() => setCollapsed(v => !v)}
+        aria-expanded={!collapsed}
+        className="w-full flex items-center gap-2 font-semibold text-start"
+      >
+        <LifeBuoy className="h-4 w-4 shrink-0" />
+        <span className="flex-1">{t("safety.heading")}</span>
+        {collapsed ? <ChevronDown className="h-4 w-4" /> : <ChevronUp className="h-4 w-4" />}
+      </button>
+
+      {!collapsed && (
+        <div className="mt-2 space-y-2">
+          <p>{t("safety.body")}</p>
+          <ul className="space-y-1">
+            {lines.map(line => (
+              <li key={line.name} className="flex flex-wrap items-center gap-x-3 gap-y-1">
+                <span className="font-medium">{line.name}</span>
+                {line.phone && (
+                  <a href={`tel:${line.phone.replace(/\s/g, "")}`} className="inline-flex items-center gap-1 underline">
+                    <Phone className="h-3 w-3" /> {line.phone}
+                  </a>
+                )}
+                {line.sms && (
+                  <a href={`sms:${line.sms}`} className="inline-flex items-center gap-1 underline">
+                    <MessageSquare className="h-3 w-3" /> {t("safety.text", { number: line.sms })}
+                  </a>
+                )}
+                {line.url && <a href={line.url} target="_blank" rel="noreferrer" className="underline">{t("safety.website")}</a>}
+              </li>
+            ))}
+          </ul>
+          <p className="text-xs text-rose-700">
+            {emergency
+              ? <>{beforeNumber}<a href={`tel:${emergency}`} className="underline">{emergency}</a>{afterNumber}</>
+              : t("safety.dangerLocal")}
+          </p>
+        </div>
+      )}
+    </section>
+  );
+}
+
+SafetyPanel.propTypes = {
+  event: PropTypes.shape({
+    locale: PropTypes.string,
+    lines: PropTypes.arrayOf(PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      phone: PropTypes.string,
+      sms: PropTypes.string,
+      url: PropTypes.string,
+    })),
+  }).isRequired,
+};
@@ -0,0 +1,116 @@
+import { useState, useRef } from "react";
+import PropTypes from "prop-types";
+import { Check, Pencil, Plus, Trash2, Upload, X } from "lucide-react";
+import { useI18n } from "../../i18n/context.js";
+
+const formatDate = (ms, locale) =>
+  new Date(ms).toLocaleString(locale, { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+
+/**
+ * SessionSidebar – past conversations stored on this device. Click to resume,
+ * or rename / delete in place. JSON transcript exports can be imported back.
+ */
+export default function SessionSidebar({ sessions, currentId, onSelect, onNew, onRename, onDelete, onImport }) {
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState("");
+  const fileRef = useRef(null);
+  const { t, locale } = useI18n();
+
+  const startEditing = (session) => {
+    setEditingId(session.id);
+    setDraft(session.title);
+  };
+
+  const commitRename = (e) => {
+    e.preventDefault();
+    onRename(editingId, draft);
+    setEditingId(null);
+  };
+
+  return (
+    <aside className="w-64 shrink-0 h-full flex flex-col bg-gray-50 border-e border-gray-200">
+      <div className="m-3 flex gap-2">
+        <button
+          onClick={onNew}
+          className="flex-1 flex items-center justify-center gap-2 px-3 py-2 text-sm font-medium text-purple-700 bg-purple-100 rounded-lg hover:bg-purple-200 transition-colors"
+        >
+          <Plus className="h-4 w-4" /> {t("sessions.new")}
+        </button>
+        {onImport && (
+          <>
+            <button
+              onClick={() => fileRef.current?.click()}
+              title={t("sessions.import")}
+              className="px-2 text-purple-700 bg-purple-100 rounded-lg hover:bg-purple-200 transition-colors"
+            >
+              <Upload className="h-4 w-4" />
+            </button>
+            <input
+              ref={fileRef}
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e) => {
+                const [file] = e.target.files;
+                e.target.value = "";
+                if (file) onImport(file);
+              }}
+            />
+          </>
+        )}
+      </div>
+
+      <ul className="flex-1 overflow-y-auto px-2 pb-3 space-y-1">
+        {sessions.length === 0 && <li className="px-3 py-2 text-xs text-gray-400">{t("sessions.empty")}</li>}
+        {sessions.map(session => (
+          <li key={session.id}>
+            {editingId === session.id ? (
+              <form onSubmit={commitRename} className="flex items-center gap-1 px-2 py-1">
+                <input
+                  autoFocus
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  onKeyDown={(e) => e.key === "Escape" && setEditingId(null)}
+                  className="flex-1 min-w-0 px-2 py-1 text-sm text-gray-800 border border-gray-300 rounded"
+                />
+                <button type="submit" title={t("action.save")} className="p-1 text-green-600 hover:text-green-800"><Check className="h-4 w-4" /></button>
+                <button type="button" title={t("action.cancel")} onClick={() => setEditingId(null)} className="p-1 text-gray-400 hover:text-gray-600"><X className="h-4 w-4" /></button>
+              </form>
+            ) : (
+              <div className={`group flex items-center gap-1 rounded-lg ${session.id === currentId ? "bg-purple-50" : "hover:bg-gray-100"}`}>
+                <button onClick={() => onSelect(session.id)} className="flex-1 min-w-0 px-3 py-2 text-start">
+                  <div className={`truncate text-sm ${session.id === currentId ? "text-purple-700 font-medium" : "text-gray-800"}`}>{session.title || t("sessions.untitled")}</div>
+                  <div className="text-xs text-gray-400">{formatDate(session.updatedAt, locale)}</div>
+                </button>
+                <button title={t("action.rename")} onClick={() => startEditing(session)} className="p-1 text-gray-400 opacity-0 group-hover:opacity-100 focus:opacity-100 hover:text-gray-700">
+                  <Pencil className="h-4 w-4" />
+                </button>
+                <button
+                  title={t("action.delete")}
+                  onClick={() => window.confirm(t("sessions.confirmDelete", { title: session.title || t("sessions.untitled") })) && onDelete(session.id)}
+                  className="p-1 me-1 text-gray-400 opacity-0 group-hover:opacity-100 focus:opacity-100 hover:text-red-600"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
+
+SessionSidebar.propTypes = {
+  sessions: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    updatedAt: PropTypes.number.isRequired,
+  })).isRequired,
+  currentId: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+  onNew: PropTypes.func.isRequired,
+  onRename: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onImport: PropTypes.func,
+};
@@ -0,0 +1,274 @@
+import PropTypes from "prop-types";
+import { Gauge, HardDrive, Hand, Languages, Mic, Sparkles, Speaker, Timer, X } from "lucide-react";
+import { CAN_SELECT_OUTPUT } from "../../hooks/useMediaDevices.js";
+import { LANGUAGES } from "../../i18n/index.js";
+import { useI18n } from "../../i18n/context.js";
+
+// Labels below are message keys (../../i18n).
+const PERMISSION_TEXT = {
+  granted: "settings.permissionGranted",
+  denied: "settings.permissionDenied",
+  prompt: "settings.permissionPrompt",
+  unknown: "",
+};
+
+const RETENTION_OPTIONS_MB = [25, 100, 250, 1000];
+
+const INPUT_MODES = [
+  { value: "hands-free", label: "mode.handsFree", hint: "settings.handsFreeHint" },
+  { value: "push-to-talk", label: "mode.pushToTalk", hint: "settings.pushToTalkHint" },
+];
+
+const VISUALISER_OPTIONS = [
+  { value: "auto", label: "settings.visualiserAuto" },
+  { value: "webgl", label: "settings.visualiserWebgl" },
+  { value: "pulse", label: "settings.visualiserPulse" },
+  { value: "static", label: "settings.visualiserStatic" },
+];
+
+const STILL_THERE_OPTIONS_MS = [0, 10000, 20000, 30000, 60000];
+
+/**
+ * SettingsPanel – choose the language, the microphone and speaker, and
+ * whether to keep each turn's audio. Device names only show up once mic
+ * access has been granted, so offer to ask for it here.
+ */
+export default function SettingsPanel({ settings, onChange, devices, onClose }) {
+  const { inputs, outputs, permission, noInput, requestAccess } = devices;
+  const { t, locale } = useI18n();
+  const seconds = (ms) => t("settings.seconds", { n: (ms / 1000).toLocaleString(locale, { maximumFractionDigits: 1 }) });
+  const formatSize = (mb) => new Intl.NumberFormat(locale, {
+    style: "unit", unit: mb >= 1000 ? "gigabyte" : "megabyte", unitDisplay: "short",
+  }).format(mb >= 1000 ? mb / 1000 : mb);
+  const deviceLabel = (device, idx, kindKey) => device.label || t(kindKey, { n: idx + 1 });
+  const needsAccess = permission !== "granted" && inputs.some(d => !d.label);
+
+  return (
+    <aside className="w-72 shrink-0 h-full flex flex-col bg-gray-50 border-s border-gray-200">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+        <h2 className="text-sm font-semibold text-gray-700">{t("settings.title")}</h2>
+        <button onClick={onClose} title={t("action.close")} className="p-1 rounded text-gray-400 hover:text-gray-600">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-5 text-sm">
+        <label className="block">
+          <span className="flex items-center gap-2 mb-1 font-medium text-gray-700">
+            <Languages className="h-4 w-4" /> {t("settings.language")}
+          </span>
+          <select
+            value={settings.language}
+            onChange={(e) => onChange({ language: e.target.value })}
+            className="w-full px-2 py-1.5 rounded-md border border-gray-300 bg-white text-gray-800 focus:outline-none focus:ring-2 focus:ring-purple-300"
+          >
+            {LANGUAGES.map(({ code, name }) => (
+              <option key={code} value={code} lang={code}>{name}</option>
+            ))}
+          </select>
+          <span className="block mt-1 text-xs text-gray-500">{t("settings.languageHint")}</span>
+        </label>
+
+        <label className="block">
+          <span className="flex items-center gap-2 mb-1 font-medium text-gray-700">
+            <Mic className="h-4 w-4" /> {t("settings.microphone")}
+          </span>
+          <select
+            value={settings.inputDeviceId}
+            onChange={(e) => onChange({ inputDeviceId: e.target.value })}
+            disabled={noInput}
+            className="w-full px-2 py-1.5 rounded-md border border-gray-300 bg-white text-gray-800 focus:outline-none focus:ring-2 focus:ring-purple-300"
+          >
+            <option value="">{t("settings.systemDefault")}</option>
+            {inputs.filter(d => d.deviceId && d.deviceId !== "default").map((d, idx) => (
+              <option key={d.deviceId} value={d.deviceId}>{deviceLabel(d, idx, "settings.microphoneN")}</option>
+            ))}
+          </select>
+          {noInput && <span className="block mt-1 text-xs text-red-600">{t("settings.noMicrophone")}</span>}
+        </label>
+
+        <fieldset>
+          <legend className="flex items-center gap-2 mb-1 font-medium text-gray-700">
+            <Hand className="h-4 w-4" /> {t("settings.talking")}
+          </legend>
+          {INPUT_MODES.map(mode => (
+            <label key={mode.value} className="flex items-start gap-2 mt-1 text-gray-700">
+              <input
+                type="radio"
+                name="inputMode"
+                value={mode.value}
+                checked={settings.inputMode === mode.value}
+                onChange={() => onChange({ inputMode: mode.value })}
+                className="mt-1 accent-purple-600"
+              />
+              <span>
+                {t(mode.label)}
+                <span className="block text-xs text-gray-500">{t(mode.hint)}</span>
+              </span>
+            </label>
+          ))}
+        </fieldset>
+
+        <div className={settings.inputMode === "push-to-talk" ? "opacity-50" : undefined}>
+          <span className="flex items-center gap-2 mb-1 font-medium text-gray-700">
+            <Timer className="h-4 w-4" /> {t("settings.endOfTurn")}
+          </span>
+          <label className="block text-gray-700">
+            <span className="flex justify-between text-xs text-gray-500">
+              {t("settings.pauseBeforeReply")} <span>{seconds(settings.silenceMs)}</span>
+            </span>
+            <input
+              type="range"
+              min={800}
+              max={5000}
+              step={100}
+              value={settings.silenceMs}
+              onChange={(e) => onChange({ silenceMs: Number(e.target.value) })}
+              disabled={settings.extendedPause}
+              className="w-full accent-purple-600"
+            />
+          </label>
+          <label className="flex items-start gap-2 mt-2 text-gray-700">
+            <input
+              type="checkbox"
+              checked={settings.extendedPause}
+              onChange={(e) => onChange({ extendedPause: e.target.checked })}
+              className="mt-1 accent-purple-600"
+            />
+            <span>
+              {t("settings.extendedPause")}
+              <span className="block text-xs text-gray-500">{t("settings.extendedPauseHint")}</span>
+            </span>
+          </label>
+          <label className="flex items-center gap-2 mt-2 text-xs text-gray-500">
+            {t("settings.stillThere")}
+            <select
+              value={settings.stillThereMs}
+              onChange={(e) => onChange({ stillThereMs: Number(e.target.value) })}
+              className="px-1 py-0.5 rounded border border-gray-300 bg-white text-gray-800"
+            >
+              {STILL_THERE_OPTIONS_MS.map(ms => (
+                <option key={ms} value={ms}>{ms ? seconds(ms) : t("settings.never")}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {CAN_SELECT_OUTPUT && (
+          <label className="block">
+            <span className="flex items-center gap-2 mb-1 font-medium text-gray-700">
+              <Speaker className="h-4 w-4" /> {t("settings.speaker")}
+            </span>
+            <select
+              value={settings.outputDeviceId}
+              onChange={(e) => onChange({ outputDeviceId: e.target.value })}
+              className="w-full px-2 py-1.5 rounded-md border border-gray-300 bg-white text-gray-800 focus:outline-none focus:ring-2 focus:ring-purple-300"
+            >
+              <option value="">{t("settings.systemDefault")}</option>
+              {outputs.filter(d => d.deviceId && d.deviceId !== "default").map((d, idx) => (
+                <option key={d.deviceId} value={d.deviceId}>{deviceLabel(d, idx, "settings.speakerN")}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        <div>
+          <span className="flex items-center gap-2 mb-1 font-medium text-gray-700">
+            <HardDrive className="h-4 w-4" /> {t("settings.turnAudio")}
+          </span>
+          <label className="flex items-center gap-2 text-gray-700">
+            <input
+              type="checkbox"
+              checked={settings.recordAudio}
+              onChange={(e) => onChange({ recordAudio: e.target.checked })}
+              className="accent-purple-600"
+            />
+            {t("settings.keepAudio")}
+          </label>
+          {settings.recordAudio && (
+            <label className="flex items-center gap-2 mt-2 text-xs text-gray-500">
+              {t("settings.keepUpTo")}
+              <select
+                value={settings.audioRetentionMb}
+                onChange={(e) => onChange({ audioRetentionMb: Number(e.target.value) })}
+                className="px-1 py-0.5 rounded border border-gray-300 bg-white text-gray-800"
+              >
+                {RETENTION_OPTIONS_MB.map(mb => (
+                  <option key={mb} value={mb}>{formatSize(mb)}</option>
+                ))}
+              </select>
+              {t("settings.oldestFirst")}
+            </label>
+          )}
+        </div>
+
+        <label className="block">
+          <span className="flex items-center gap-2 mb-1 font-medium text-gray-700">
+            <Sparkles className="h-4 w-4" /> {t("settings.visualiser")}
+          </span>
+          <select
+            value={settings.visualiser}
+            onChange={(e) => onChange({ visualiser: e.target.value })}
+            className="w-full px-2 py-1.5 rounded-md border border-gray-300 bg-white text-gray-800 focus:outline-none focus:ring-2 focus:ring-purple-300"
+          >
+            {VISUALISER_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{t(option.label)}</option>
+            ))}
+          </select>
+          {settings.visualiser === "auto" && (
+            <span className="block mt-1 text-xs text-gray-500">{t("settings.visualiserAutoHint")}</span>
+          )}
+        </label>
+
+        <label className="flex items-center gap-2 text-gray-700">
+          <input
+            type="checkbox"
+            checked={settings.showMetrics}
+            onChange={(e) => onChange({ showMetrics: e.target.checked })}
+            className="accent-purple-600"
+          />
+          <Gauge className="h-4 w-4" /> {t("settings.latencyOverlay")}
+        </label>
+
+        <div className="space-y-2">
+          {PERMISSION_TEXT[permission] && (
+            <p className={`text-xs ${permission === "denied" ? "text-red-600" : "text-gray-500"}`}>{t(PERMISSION_TEXT[permission])}</p>
+          )}
+          {needsAccess && permission !== "denied" && (
+            <button
+              onClick={requestAccess}
+              className="px-3 py-1.5 text-xs font-medium text-purple-700 bg-purple-100 rounded-lg hover:bg-purple-200 transition-colors"
+            >
+              {t("settings.allowMic")}
+            </button>
+          )}
+        </div>
+      </div>
+    </aside>
+  );
+}
+
+SettingsPanel.propTypes = {
+  settings: PropTypes.shape({
+    inputDeviceId: PropTypes.string,
+    outputDeviceId: PropTypes.string,
+    recordAudio: PropTypes.bool,
+    audioRetentionMb: PropTypes.number,
+    showMetrics: PropTypes.bool,
+    inputMode: PropTypes.oneOf(["hands-free", "push-to-talk"]),
+    silenceMs: PropTypes.number,
+    extendedPause: PropTypes.bool,
+    stillThereMs: PropTypes.number,
+    visualiser: PropTypes.oneOf(["auto", "webgl", "pulse", "static"]),
+    language: PropTypes.string,
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  devices: PropTypes.shape({
+    inputs: PropTypes.array.isRequired,
+    outputs: PropTypes.array.isRequired,
+    permission: PropTypes.string.isRequired,
+    noInput: PropTypes.bool,
+    requestAccess: PropTypes.func.isRequired,
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+};
@@ -0,0 +1,48 @@
+import PropTypes from "prop-types";
+import { AlertTriangle, X } from "lucide-react";
+import { useI18n } from "../../i18n/context.js";
+
+// Message keys (../../i18n) by error type.
+const ERROR_TEXT = {
+  network: "error.network",
+  "stt-empty": "error.sttEmpty",
+  "tts-failed": "error.ttsFailed",
+  "server-closed": "error.serverClosed",
+  storage: "error.storage",
+};
+
+/**
+ * ErrorToast – floats above the chat (and the voice overlay) while the
+ * session reports a problem. Automatic retries just say so; otherwise the
+ * user can retry (when `onRetry` is given), end the voice chat or dismiss.
+ */
+export default function ErrorToast({ error, onRetry, onEnd, onDismiss }) {
+  const { t } = useI18n();
+  return (
+    <div role="alert" className="fixed top-4 left-1/2 -translate-x-1/2 z-40 max-w-[90vw] flex items-center gap-3 px-4 py-2 text-sm text-red-800 bg-red-50 border border-red-200 rounded-xl shadow-lg">
+      <AlertTriangle className="h-4 w-4 shrink-0" />
+      <span>{t(ERROR_TEXT[error.type] ?? "error.generic")}</span>
+      {error.retrying ? (
+        <span className="text-red-600/70">{t("error.retrying")}</span>
+      ) : (
+        <>
+          {onRetry && <button onClick={onRetry} className="font-medium hover:underline">{t("action.retry")}</button>}
+          {onEnd && <button onClick={onEnd} className="font-medium hover:underline">{t("action.end")}</button>}
+        </>
+      )}
+      <button onClick={onDismiss} title={t("action.dismiss")} className="p-0.5 rounded text-red-400 hover:text-red-600">
+        <X className="h-4 w-4" />
+      </button>
+    </div>
+  );
+}
+
+ErrorToast.propTypes = {
+  error: PropTypes.shape({
+    type: PropTypes.string.isRequired,
+    retrying: PropTypes.bool,
+  }).isRequired,
+  onRetry: PropTypes.func,
+  onEnd: PropTypes.func,
+  onDismiss: PropTypes.func.isRequired,
+};
@@ -0,0 +1,27 @@
+import { forwardRef } from "react";
+import PropTypes from "prop-types";
+import WebGLBlob from "./webgl.jsx";
+import PulseCircle from "./pulse.jsx";
+import StaticDot from "./static.jsx";
+
+/**
+ * Visualiser – the voice overlay's centrepiece at the given `level`: the 3D
+ * WebGL blob, a 2D canvas pulse or a static disc (see useVisualiserLevel for
+ * how it's picked). The ref goes to whatever the audio drives; the static
+ * disc takes none. `onSlow` fires if the WebGL blob can't keep its frame rate.
+ */
+const Visualiser = forwardRef(({ level, state, onSlow }, ref) => {
+  if (level === "static") return <StaticDot state={state} />;
+  if (level === "pulse") return <PulseCircle ref={ref} state={state} />;
+  return <WebGLBlob ref={ref} state={state} onSlow={onSlow} />;
+});
+
+Visualiser.displayName = "Visualiser";
+
+Visualiser.propTypes = {
+  level: PropTypes.oneOf(["webgl", "pulse", "static"]).isRequired,
+  state: PropTypes.string,
+  onSlow: PropTypes.func,
+};
+
+export default Visualiser;
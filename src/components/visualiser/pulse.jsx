@@ -0,0 +1,83 @@
+import { forwardRef, useEffect, useImperativeHandle, useMemo, useRef } from "react";
+import PropTypes from "prop-types";
+import { BLOB_STATES } from "../blob/states.js";
+
+const SIZE = 500;
+const EASE = 0.08;   // per frame, towards the state's palette
+
+const rgb = ([r, g, b], alpha = 1) => `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${alpha})`;
+
+/**
+ * PulseCircle – 2D canvas fallback for the blob: a gradient disc that swells
+ * with the level, with a halo for the lows and a rim that brightens with
+ * the highs. The ref mimics the blob mesh (`material.uniforms`, `scale`) so
+ * useVoiceSession drives it unchanged.
+ */
+const PulseCircle = forwardRef(({ state = "idle" }, ref) => {
+  const canvasRef = useRef(null);
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
+  const handle = useMemo(() => ({
+    material: {
+      uniforms: {
+        u_intensity: { value: 0.3 },
+        u_low: { value: 0 },
+        u_mid: { value: 0 },
+        u_high: { value: 0 },
+      },
+    },
+    scale: { x: 0.8, set(x) { this.x = x; } },
+  }), []);
+  useImperativeHandle(ref, () => handle, [handle]);
+
+  useEffect(() => {
+    const ctx = canvasRef.current.getContext("2d");
+    const look = BLOB_STATES[stateRef.current] ?? BLOB_STATES.idle;
+    const colorA = [...look.colorA];
+    const colorB = [...look.colorB];
+    let raf;
+
+    const draw = () => {
+      const target = BLOB_STATES[stateRef.current] ?? BLOB_STATES.idle;
+      for (let i = 0; i < 3; i++) {
+        colorA[i] += (target.colorA[i] - colorA[i]) * EASE;
+        colorB[i] += (target.colorB[i] - colorB[i]) * EASE;
+      }
+      const { u_low, u_mid, u_high } = handle.material.uniforms;
+      const radius = (SIZE / 4) * handle.scale.x;
+      const c = SIZE / 2;
+
+      ctx.clearRect(0, 0, SIZE, SIZE);
+      ctx.beginPath();
+      ctx.arc(c, c, radius * (1.1 + u_low.value * 0.4), 0, Math.PI * 2);
+      ctx.fillStyle = rgb(colorA, 0.15 + u_low.value * 0.25);
+      ctx.fill();
+
+      const fill = ctx.createRadialGradient(c, c, 0, c, c, radius);
+      fill.addColorStop(0, rgb(colorA));
+      fill.addColorStop(Math.min(1, 0.6 + u_mid.value * 0.4), rgb(colorB));
+      ctx.beginPath();
+      ctx.arc(c, c, radius, 0, Math.PI * 2);
+      ctx.fillStyle = fill;
+      ctx.fill();
+      ctx.lineWidth = 2 + u_high.value * 6;
+      ctx.strokeStyle = rgb(colorB, 0.4 + u_high.value * 0.6);
+      ctx.stroke();
+
+      raf = requestAnimationFrame(draw);
+    };
+    draw();
+    return () => cancelAnimationFrame(raf);
+  }, [handle]);
+
+  return <canvas ref={canvasRef} width={SIZE} height={SIZE} className="pointer-events-none" style={{ width: SIZE, height: SIZE }} />;
+});
+
+PulseCircle.displayName = "PulseCircle";
+
+PulseCircle.propTypes = {
+  state: PropTypes.string,
+};
+
+export default PulseCircle;
@@ -0,0 +1,19 @@
+import PropTypes from "prop-types";
+import { BLOB_STATES } from "../blob/states.js";
+
+const css = ([r, g, b]) => `rgb(${Math.round(r * 255)} ${Math.round(g * 255)} ${Math.round(b * 255)})`;
+
+/** StaticDot – a still disc in the state's colours, for reduced motion. Ignores the audio. */
+export default function StaticDot({ state = "idle" }) {
+  const look = BLOB_STATES[state] ?? BLOB_STATES.idle;
+  return (
+    <div
+      className="w-40 h-40 rounded-full shadow-2xl pointer-events-none"
+      style={{ background: `radial-gradient(circle, ${css(look.colorA)} 0%, ${css(look.colorB)} 100%)` }}
+    />
+  );
+}
+
+StaticDot.propTypes = {
+  state: PropTypes.string,
+};
@@ -0,0 +1,55 @@
+import { forwardRef, useRef } from "react";
+import PropTypes from "prop-types";
+import { Canvas, useFrame } from "@react-three/fiber";
+import AudioBlob from "../blob/index.jsx";
+
+const WARMUP_MS = 2000;   // shader compile and first frames are always slow
+const WINDOW_MS = 3000;
+const MIN_FPS   = 24;
+
+/** Calls `onSlow` once the frame rate stays under MIN_FPS for two windows in a row. */
+function FpsMonitor({ onSlow }) {
+  const stats = useRef({ elapsed: 0, frames: 0, windowMs: 0, slowWindows: 0, reported: false });
+
+  useFrame((_, delta) => {
+    const s = stats.current;
+    if (s.reported) return;
+    s.elapsed += delta * 1000;
+    if (s.elapsed < WARMUP_MS) return;
+    s.frames += 1;
+    s.windowMs += delta * 1000;
+    if (s.windowMs < WINDOW_MS) return;
+
+    const fps = (s.frames * 1000) / s.windowMs;
+    s.slowWindows = fps < MIN_FPS ? s.slowWindows + 1 : 0;
+    s.frames = s.windowMs = 0;
+    if (s.slowWindows >= 2) {
+      s.reported = true;
+      onSlow?.(fps);
+    }
+  });
+  return null;
+}
+
+/** WebGLBlob – the full 3D AudioBlob; the ref is its THREE.Mesh. */
+const WebGLBlob = forwardRef(({ state, onSlow }, ref) => (
+  <Canvas style={{ width: 500, height: 500, pointerEvents: "none" }}>
+    <ambientLight intensity={0.5} />
+    <directionalLight position={[5, 5, 5]} />
+    <AudioBlob ref={ref} state={state} />
+    <FpsMonitor onSlow={onSlow} />
+  </Canvas>
+));
+
+WebGLBlob.displayName = "WebGLBlob";
+
+WebGLBlob.propTypes = {
+  state: PropTypes.string,
+  onSlow: PropTypes.func,
+};
+
+FpsMonitor.propTypes = {
+  onSlow: PropTypes.func,
+};
+
+export default WebGLBlob;
@@ -0,0 +1,14 @@
+/**
+ * Build-time app configuration (Vite env vars).
+ *
+ *   VITE_VOICE_TRANSPORT – `ws` (default), `http` or `mock`
+ *   VITE_API_BASE        – backend origin; each transport has its own default
+ *   VITE_MIC_CAPTURE     – `webm` (default, MediaRecorder) or `pcm` (16 kHz PCM16,
+ *                          WebSocket transport only)
+ *   VITE_METRICS_REPORTER – comma-separated per-turn metrics reporters
+ *                          (`vercel`, `console`); none by default
+ */
+export const VOICE_TRANSPORT = import.meta.env.VITE_VOICE_TRANSPORT || 'ws';
+export const API_BASE        = import.meta.env.VITE_API_BASE || undefined;
+export const MIC_CAPTURE     = import.meta.env.VITE_MIC_CAPTURE || 'webm';
+export const METRICS_REPORTERS = (import.meta.env.VITE_METRICS_REPORTER || '').split(',').map(s => s.trim()).filter(Boolean);
@@ -0,0 +1,249 @@
+import { importSession } from '../storage/sessionStore.js';
+import { getSessionClips, saveClip } from '../storage/audioStore.js';
+import { generateId } from '../storage/db.js';
+import { DEFAULT_LANGUAGE, dirOf, localeFor, translate } from '../i18n/index.js';
+
+/* ---------------------------------------------------------------------------
+   Transcript export – Markdown for reading, JSON for re-importing and a
+   self-contained HTML page for printing / saving as PDF.
+
+   All take a session `{ id, title, createdAt, updatedAt, messages }`, the
+   same shape the session store keeps. JSON and HTML can also embed the
+   kept turn audio as `{ [audioId]: { role, data } }` (data: URLs).
+   Markdown and HTML are labelled in `language` (../i18n), and HTML takes its
+   direction.
+--------------------------------------------------------------------------- */
+export const TRANSCRIPT_FORMAT  = 'voice-therapist-transcript';
+export const TRANSCRIPT_VERSION = 1;
+
+const SPEAKERS = { user: 'transcript.you', assistant: 'chat.title' };
+
+/** Why an import was rejected – shown to the user as the `import.*` message of the same name. */
+export const TRANSCRIPT_ERROR = {
+  NOT_TRANSCRIPT: 'notTranscript',   // not JSON, or not one of our exports
+  TOO_NEW:        'tooNew',          // written by a newer version – `version` says which
+  MALFORMED:      'malformed',       // messages aren't { role, content } strings
+  BAD_AUDIO:      'badAudio',        // audio isn't embedded base64 audio
+};
+
+export class TranscriptError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'TranscriptError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/** Speaker names, labels and dates in `language`. */
+const labelsFor = (language = DEFAULT_LANGUAGE) => {
+  const locale = localeFor(language);
+  const t = (key) => translate(language, key);
+  return {
+    t,
+    speaker: (role) => (SPEAKERS[role] ? t(SPEAKERS[role]) : role),
+    formatTime: (ms) => (ms ? new Date(ms).toLocaleString(locale) : ''),
+  };
+};
+
+// Embedded audio is only ever inline base64 audio – never a URL to fetch or link.
+const AUDIO_DATA_URL = /^data:audio\/[\w.+-]+(;[\w.+-]+=[\w.+-]+)*;base64,[A-Za-z0-9+/]*={0,2}$/;
+const isAudioDataUrl = (value) => typeof value === 'string' && AUDIO_DATA_URL.test(value);
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, ch => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[ch]));
+
+/** Metadata lines shared by the Markdown and HTML views. */
+const metadataOf = (session, { t, formatTime }) => [
+  [t('transcript.session'), session.id],
+  [t('transcript.started'), formatTime(session.createdAt ?? session.messages[0]?.at)],
+  [t('transcript.updated'), formatTime(session.updatedAt ?? session.messages.at(-1)?.at)],
+  [t('transcript.exported'), formatTime(Date.now())],
+].filter(([, value]) => value);
+
+export function toMarkdown(session, { language } = {}) {
+  const labels = labelsFor(language);
+  const { speaker, formatTime } = labels;
+  const lines = [`# ${session.title}`, ''];
+  metadataOf(session, labels).forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+  lines.push('', '---', '');
+
+  session.messages.forEach(msg => {
+    if (msg.role === 'event') {
+      lines.push(`_${[formatTime(msg.at), msg.content].filter(Boolean).join(' — ')}_`, '');
+      return;
+    }
+    const heading = [`**${speaker(msg.role)}**`, formatTime(msg.at)].filter(Boolean).join(' · ');
+    lines.push(heading, '', msg.content, '');
+  });
+  return lines.join('\n');
+}
+
+export function toJSON(session, { audio } = {}) {
+  return JSON.stringify({
+    format: TRANSCRIPT_FORMAT,
+    version: TRANSCRIPT_VERSION,
+    exportedAt: Date.now(),
+    session: {
+      id: session.id,
+      title: session.title,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      messages: session.messages,
+    },
+    ...(audio && { audio }),
+  }, null, 2);
+}
+
+export function toHTML(session, { audio, language = DEFAULT_LANGUAGE } = {}) {
+  const labels = labelsFor(language);
+  const { t, speaker, formatTime } = labels;
+  const meta = metadataOf(session, labels)
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+    .join('');
+  const body = session.messages.map(msg => {
+    if (msg.role === 'event') {
+      return `<p class="event">${escapeHtml([formatTime(msg.at), msg.content].filter(Boolean).join(' — '))}</p>`;
+    }
+    return `<article class="${escapeHtml(msg.role)}">
+      <header><strong>${escapeHtml(speaker(msg.role))}</strong> <time>${escapeHtml(formatTime(msg.at))}</time></header>
+      <p>${escapeHtml(msg.content)}</p>${isAudioDataUrl(audio?.[msg.audioId]?.data) ? `
+      <audio controls src="${escapeHtml(audio[msg.audioId].data)}"></audio>` : ''}
+    </article>`;
+  }).join('\n');
+
+  return `<!doctype html>
+<html lang="${escapeHtml(language)}" dir="${dirOf(language)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(session.title)}</title>
+<style>
+  body { font: 14px/1.5 system-ui, sans-serif; max-width: 720px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; }
+  h1 { font-size: 1.4rem; margin-bottom: .5rem; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: .1rem 1rem; color: #6b7280; font-size: 12px; }
+  dd { margin: 0; }
+  article { margin: 1rem 0; padding: .5rem .75rem; border-inline-start: 3px solid #a78bfa; break-inside: avoid; }
+  article.user { border-color: #3b82f6; }
+  article header { font-size: 12px; color: #6b7280; }
+  article p { margin: .25rem 0 0; white-space: pre-wrap; }
+  article audio { display: block; height: 2rem; margin-top: .25rem; }
+  @media print { article audio { display: none; } }
+  .event { text-align: center; font-size: 12px; color: #9ca3af; }
+  .print { margin: 1rem 0; padding: .4rem 1rem; }
+  @media print { .print { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(session.title)}</h1>
+<dl>${meta}</dl>
+<button class="print" onclick="window.print()">${escapeHtml(t('transcript.print'))}</button>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * Read a JSON export back into a session. Throws a TranscriptError if the
+ * file isn't one of ours, its messages are malformed or its audio isn't
+ * embedded base64 audio.
+ */
+export function parseTranscript(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new TranscriptError(TRANSCRIPT_ERROR.NOT_TRANSCRIPT, `Not JSON: ${err.message}`);
+  }
+  if (data?.format !== TRANSCRIPT_FORMAT || !data.session) {
+    throw new TranscriptError(TRANSCRIPT_ERROR.NOT_TRANSCRIPT, 'Not a Voice Therapist transcript');
+  }
+  if (data.version > TRANSCRIPT_VERSION) {
+    throw new TranscriptError(TRANSCRIPT_ERROR.TOO_NEW, `Transcript version ${data.version} is newer than this app supports`, { version: data.version });
+  }
+  const { id, title, createdAt, messages } = data.session;
+  const valid = Array.isArray(messages) && messages.every(m => typeof m?.role === 'string' && typeof m.content === 'string');
+  if (!valid) throw new TranscriptError(TRANSCRIPT_ERROR.MALFORMED, 'Transcript messages are malformed');
+  const audio = data.audio ?? {};
+  if (typeof audio !== 'object' || !Object.values(audio).every(clip => isAudioDataUrl(clip?.data))) {
+    throw new TranscriptError(TRANSCRIPT_ERROR.BAD_AUDIO, 'Transcript audio must be embedded data:audio/…;base64 URLs');
+  }
+  return { id, title, createdAt, messages, audio };
+}
+
+/**
+ * Import a JSON export as a new stored session, audio included. Clips get
+ * fresh ids so importing the same file twice doesn't share them. Resolves
+ * with the session id.
+ */
+export async function importTranscript(text, { maxBytes } = {}) {
+  const { audio, ...session } = parseTranscript(text);
+  const clips = [];
+  const messages = session.messages.map(msg => {
+    const clip = msg.audioId && audio[msg.audioId];
+    if (!clip) return { ...msg, audioId: undefined };
+    const audioId = generateId();
+    clips.push({ id: audioId, role: msg.role, data: clip.data });
+    return { ...msg, audioId };
+  });
+
+  const id = await importSession({ ...session, messages });
+  for (const clip of clips) {
+    const blob = await (await fetch(clip.data)).blob();
+    await saveClip({ id: clip.id, sessionId: id, role: clip.role, blob }, { maxBytes });
+  }
+  return id;
+}
+
+/** The session's kept audio as data: URLs, keyed by audioId. */
+async function collectAudio(sessionId) {
+  const clips = await getSessionClips(sessionId);
+  const entries = await Promise.all(clips.map(async clip => [clip.id, { role: clip.role, data: await blobToDataUrl(clip.blob) }]));
+  return Object.fromEntries(entries);
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+const EXPORTERS = {
+  markdown: { render: toMarkdown, type: 'text/markdown', ext: 'md' },
+  json:     { render: toJSON,     type: 'application/json', ext: 'json' },
+  html:     { render: toHTML,     type: 'text/html', ext: 'html' },
+};
+
+/**
+ * Save the session as a file in `format` ('markdown' | 'json' | 'html').
+ * `includeAudio` embeds kept turn audio (JSON and HTML only); `language`
+ * labels the readable formats.
+ */
+export async function downloadTranscript(session, format, { includeAudio = false, language } = {}) {
+  const { render, type, ext } = EXPORTERS[format];
+  const audio = includeAudio && format !== 'markdown' ? await collectAudio(session.id) : undefined;
+  const url = URL.createObjectURL(new Blob([render(session, { audio, language })], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${fileNameOf(session.title)}.${ext}`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** Open the printable HTML view in a new tab. */
+export async function openPrintableTranscript(session, { includeAudio = false, language } = {}) {
+  // Open synchronously, inside the click, so popup blockers allow it.
+  const win = window.open('', '_blank');
+  const audio = includeAudio ? await collectAudio(session.id) : undefined;
+  const url = URL.createObjectURL(new Blob([toHTML(session, { audio, language })], { type: 'text/html' }));
+  if (win) win.location.href = url;
+  setTimeout(() => URL.revokeObjectURL(url), 60_000);  // the new tab needs a moment to load it
+}
+
+function fileNameOf(title) {
+  const slug = title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+  return slug || 'conversation';
+}
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { parseTranscript, toHTML, TRANSCRIPT_ERROR, TRANSCRIPT_FORMAT, TRANSCRIPT_VERSION } from './transcript.js';
+
+const AUDIO = 'data:audio/mpeg;base64,SUQz';
+
+const exported = (audio) => JSON.stringify({
+  format: TRANSCRIPT_FORMAT,
+  version: TRANSCRIPT_VERSION,
+  session: { id: 's1', title: 'Chat', messages: [{ role: 'assistant', content: 'Hi', audioId: 'a1' }] },
+  audio,
+});
+
+describe('parseTranscript', () => {
+  it('accepts embedded base64 audio', () => {
+    expect(parseTranscript(exported({ a1: { role: 'assistant', data: AUDIO } })).audio.a1.data).toBe(AUDIO);
+  });
+
+  it.each([
+    'https://example.com/clip.mp3',
+    'blob:https://example.com/1234',
+    'data:text/html;base64,PHNjcmlwdD4=',
+  ])('rejects audio that is not inline audio: %s', (data) => {
+    expect(() => parseTranscript(exported({ a1: { role: 'assistant', data } })))
+      .toThrow(expect.objectContaining({ code: TRANSCRIPT_ERROR.BAD_AUDIO }));
+  });
+
+  it('rejects files that are not transcripts with a code the UI translates', () => {
+    expect(() => parseTranscript('not json')).toThrow(expect.objectContaining({ code: TRANSCRIPT_ERROR.NOT_TRANSCRIPT }));
+    expect(() => parseTranscript('{"format":"other"}')).toThrow(expect.objectContaining({ code: TRANSCRIPT_ERROR.NOT_TRANSCRIPT }));
+  });
+
+  it('names the version of a transcript from a newer app', () => {
+    const newer = JSON.stringify({ ...JSON.parse(exported()), version: TRANSCRIPT_VERSION + 1 });
+    expect(() => parseTranscript(newer))
+      .toThrow(expect.objectContaining({ code: TRANSCRIPT_ERROR.TOO_NEW, details: { version: TRANSCRIPT_VERSION + 1 } }));
+  });
+});
+
+describe('toHTML', () => {
+  it('embeds valid audio and leaves out anything else', () => {
+    const session = { id: 's1', title: 'Chat', messages: [{ role: 'assistant', content: 'Hi', audioId: 'a1' }] };
+    expect(toHTML(session, { audio: { a1: { data: AUDIO } } })).toContain(`<audio controls src="${AUDIO}">`);
+    expect(toHTML(session, { audio: { a1: { data: 'x" onerror="alert(1)' } } })).not.toContain('<audio');
+  });
+
+  it('labels the page in the chosen language and direction', () => {
+    const session = { id: 's1', title: 'Chat', messages: [{ role: 'user', content: 'مرحبا' }] };
+    const html = toHTML(session, { language: 'ar' });
+    expect(html).toContain('<html lang="ar" dir="rtl">');
+    expect(html).toContain('<strong>أنت</strong>');
+    expect(html).not.toContain('Print / Save as PDF');
+  });
+});
@@ -0,0 +1,41 @@
+import { useEffect } from 'react';
+
+const FOCUSABLE = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+/**
+ * useFocusTrap – while `active`, move focus into the container and keep Tab
+ * / Shift+Tab cycling inside it; when it ends, return focus to wherever it
+ * was before. The container needs `tabIndex={-1}` to take focus itself.
+ */
+export default function useFocusTrap(containerRef, active) {
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!active || !container) return;
+    const previous = document.activeElement;
+    container.focus();
+
+    const onKeyDown = (e) => {
+      if (e.key !== 'Tab') return;
+      const items = [...container.querySelectorAll(FOCUSABLE)].filter(el => !el.disabled);
+      if (!items.length) {
+        e.preventDefault();
+        return;
+      }
+      const first = items[0];
+      const last = items[items.length - 1];
+      const inside = container.contains(document.activeElement) && document.activeElement !== container;
+      if (e.shiftKey && (!inside || document.activeElement === first)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+    document.addEventListener('keydown', onKeyDown);
+    return () => {
+      document.removeEventListener('keydown', onKeyDown);
+      if (previous?.isConnected) previous.focus();
+    };
+  }, [containerRef, active]);
+}
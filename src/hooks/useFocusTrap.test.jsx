@@ -0,0 +1,55 @@
+import { useRef } from 'react';
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import PropTypes from 'prop-types';
+import useFocusTrap from './useFocusTrap.js';
+
+function Harness({ active }) {
+  const ref = useRef(null);
+  useFocusTrap(ref, active);
+  return (
+    <>
+      <button>Outside</button>
+      {active && (
+        <div ref={ref} tabIndex={-1} data-testid="trap">
+          <button>First</button>
+          <button disabled>Disabled</button>
+          <button>Last</button>
+        </div>
+      )}
+    </>
+  );
+}
+
+Harness.propTypes = { active: PropTypes.bool };
+
+describe('useFocusTrap', () => {
+  it('moves focus into the container when it becomes active', () => {
+    const { rerender } = render(<Harness active={false} />);
+    rerender(<Harness active />);
+    expect(document.activeElement).toBe(screen.getByTestId('trap'));
+  });
+
+  it('cycles Tab and Shift+Tab inside the container, skipping disabled items', async () => {
+    const user = userEvent.setup();
+    render(<Harness active />);
+
+    await user.tab();
+    expect(document.activeElement).toBe(screen.getByText('First'));
+    await user.tab();
+    expect(document.activeElement).toBe(screen.getByText('Last'));
+    await user.tab();
+    expect(document.activeElement).toBe(screen.getByText('First'));
+    await user.tab({ shift: true });
+    expect(document.activeElement).toBe(screen.getByText('Last'));
+  });
+
+  it('returns focus to where it was once inactive', () => {
+    const { rerender } = render(<Harness active={false} />);
+    screen.getByText('Outside').focus();
+    rerender(<Harness active />);
+    rerender(<Harness active={false} />);
+    expect(document.activeElement).toBe(screen.getByText('Outside'));
+  });
+});
@@ -0,0 +1,64 @@
+import { useState, useEffect, useCallback } from 'react';
+
+export const CAN_SELECT_OUTPUT = typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype;
+
+/**
+ * useMediaDevices – audio inputs/outputs and the microphone permission,
+ * kept current as devices are plugged in or permission changes. Device
+ * labels are empty until the user has granted mic access once.
+ */
+export default function useMediaDevices() {
+  const [inputs, setInputs]         = useState([]);
+  const [outputs, setOutputs]       = useState([]);
+  const [permission, setPermission] = useState('unknown'); // granted | denied | prompt | unknown
+  const [enumerated, setEnumerated] = useState(false);
+
+  const refresh = useCallback(async () => {
+    if (!navigator.mediaDevices?.enumerateDevices) return;
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      setInputs(devices.filter(d => d.kind === 'audioinput'));
+      setOutputs(devices.filter(d => d.kind === 'audiooutput'));
+      setEnumerated(true);
+    } catch (err) {
+      console.warn('Failed to list audio devices', err);
+    }
+  }, []);
+
+  /** Prompt for mic access (so devices get labels) without keeping the mic open. */
+  const requestAccess = useCallback(async () => {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      stream.getTracks().forEach(t => t.stop());
+      setPermission('granted');
+    } catch (err) {
+      if (err.name === 'NotAllowedError' || err.name === 'SecurityError') setPermission('denied');
+      else console.warn('Microphone access failed', err);
+    }
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    refresh();
+    navigator.mediaDevices?.addEventListener('devicechange', refresh);
+
+    let status = null;
+    navigator.permissions?.query({ name: 'microphone' })
+      .then(s => {
+        status = s;
+        setPermission(s.state);
+        s.onchange = () => {
+          setPermission(s.state);
+          refresh();
+        };
+      })
+      .catch(() => { /* not queryable in this browser */ });
+
+    return () => {
+      navigator.mediaDevices?.removeEventListener('devicechange', refresh);
+      if (status) status.onchange = null;
+    };
+  }, [refresh]);
+
+  return { inputs, outputs, permission, noInput: enumerated && inputs.length === 0, requestAccess };
+}
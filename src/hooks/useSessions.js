@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react';
+import { listSessions, subscribe } from '../storage/sessionStore.js';
+
+/** useSessions – stored conversations, most recent first, kept live on every write. */
+export default function useSessions() {
+  const [sessions, setSessions] = useState([]);
+
+  useEffect(() => {
+    let alive = true;
+    const refresh = () => listSessions()
+      .then(list => alive && setSessions(list))
+      .catch(err => console.warn('Failed to load sessions', err));
+
+    refresh();
+    const unsubscribe = subscribe(refresh);
+    return () => {
+      alive = false;
+      unsubscribe();
+    };
+  }, []);
+
+  return sessions;
+}
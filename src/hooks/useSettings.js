@@ -0,0 +1,43 @@
+import { useState, useEffect } from 'react';
+import { detectLanguage } from '../i18n/index.js';
+
+const STORAGE_KEY = 'voice-therapist:settings';
+
+export const DEFAULT_SETTINGS = {
+  inputDeviceId: '',    // '' = browser default
+  outputDeviceId: '',
+  recordAudio: false,   // keep each turn's audio for replay
+  audioRetentionMb: 100,
+  showMetrics: false,   // per-turn latency overlay
+  inputMode: 'hands-free',   // | 'push-to-talk'
+  silenceMs: 2000,      // pause that ends a turn
+  extendedPause: false, // leave pauses alone; end turns with "I'm done"
+  stillThereMs: 20000,  // "still there?" prompt after this long silent (0 = off)
+  visualiser: 'auto',   // | 'webgl' | 'pulse' | 'static'
+  language: detectLanguage(), // UI and spoken language (see ../i18n)
+};
+
+function loadSettings() {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/** useSettings – user preferences persisted in localStorage. Returns `[settings, update(patch)]`. */
+export default function useSettings() {
+  const [settings, setSettings] = useState(loadSettings);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (err) {
+      console.warn('Failed to save settings', err);
+    }
+  }, [settings]);
+
+  const update = (patch) => setSettings(prev => ({ ...prev, ...patch }));
+
+  return [settings, update];
+}
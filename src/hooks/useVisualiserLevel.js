@@ -0,0 +1,45 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+function detectWebGL() {
+  try {
+    const gl = document.createElement('canvas').getContext('webgl2')
+      ?? document.createElement('canvas').getContext('webgl');
+    gl?.getExtension('WEBGL_lose_context')?.loseContext();   // only asked, don't hold on to it
+    return !!gl;
+  } catch {
+    return false;
+  }
+}
+
+let webgl = null;   // detected on first use
+const hasWebGL = () => (webgl ??= typeof document !== 'undefined' && detectWebGL());
+
+/**
+ * useVisualiserLevel – which renderer the voice overlay should use:
+ * 'webgl' | 'pulse' | 'static'. `preference` 'auto' follows
+ * prefers-reduced-motion (static), then drops to the 2D pulse without WebGL
+ * or once `reportSlow()` says the blob can't keep up. Any other preference
+ * is used as-is, except that WebGL falls back to the pulse where missing.
+ */
+export default function useVisualiserLevel(preference = 'auto') {
+  const [reducedMotion, setReducedMotion] = useState(() => window.matchMedia?.(REDUCED_MOTION_QUERY).matches ?? false);
+  const [slow, setSlow] = useState(false);
+
+  useEffect(() => {
+    const query = window.matchMedia?.(REDUCED_MOTION_QUERY);
+    if (!query) return;
+    const onChange = (e) => setReducedMotion(e.matches);
+    query.addEventListener('change', onChange);
+    return () => query.removeEventListener('change', onChange);
+  }, []);
+
+  const reportSlow = useCallback(() => setSlow(true), []);
+
+  let level = preference;
+  if (preference === 'auto') level = reducedMotion ? 'static' : slow ? 'pulse' : 'webgl';
+  if (level === 'webgl' && !hasWebGL()) level = 'pulse';
+
+  return { level, reportSlow };
+}
@@ -0,0 +1,1194 @@
+import { useState, useRef, useEffect } from 'react';
+import { MathUtils } from 'three';
+import { createTransport, VOICE_ERROR } from '../transports/index.js';
+import { createStreamPlayer } from '../audio/streamPlayer.js';
+import { createVad, MIN_SPEECH_MS } from '../audio/vad.js';
+import { createDelayedMic } from '../audio/delayedMic.js';
+import { createPcmCapture, PcmRecorder, PCM_SAMPLE_RATE } from '../audio/pcmCapture.js';
+import { encodeWav } from '../audio/wav.js';
+import { wordAt, countWords } from '../audio/captions.js';
+import { readBands } from '../audio/bands.js';
+import { createTurn, markTurn } from '../telemetry/turnMetrics.js';
+import { listSessions, getSession, saveSession, renameSession as renameStored, deleteSession as deleteStored } from '../storage/sessionStore.js';
+import { saveClip } from '../storage/audioStore.js';
+import { generateId } from '../storage/db.js';
+import { detectCrisis, isSafetyEvent } from '../safety/index.js';
+import { translate, DEFAULT_LANGUAGE } from '../i18n/index.js';
+
+/* ---------------------------------------------------------------------------
+   Voice activity tuning
+--------------------------------------------------------------------------- */
+const BARGE_IN_MS         = 300;   // sustained speech needed to interrupt the assistant
+const PREROLL_MARGIN_MS   = 200;   // extra audio kept before a barge-in, past the detection delay
+const RESUME_MIC_DELAY_MS = 400;   // let the speaker tail die out before listening again
+const ERROR_RETRY_MS      = 1000;
+const MAX_AUTO_RETRIES    = 3;     // failures in a row before waiting for the user
+const MAX_METRIC_TURNS    = 20;    // finished turns kept in `metrics.turns`
+const MIN_TALK_MS         = 250;   // shorter push-to-talk presses are taps, not speech
+const EXTENDED_PAUSE_MS   = 10000; // silence that still ends the turn in extended-pause mode
+const SAVE_DEBOUNCE_MS    = 500;   // history changes on every streamed token
+
+const MIC_CONSTRAINTS = { echoCancellation: true, noiseSuppression: true };
+
+// Said at the end of an utterance, ends the turn without waiting out the silence –
+// per spoken language, matching what the `hint.paused` message tells the user to say.
+const DONE_CUES = {
+  en: /\b(?:(?:i['’]?m|i am) (?:done|finished)|that['’]?s (?:all|it)(?: for now)?)\W*$/i,
+  es: /\b(?:(?:ya )?(?:he terminado|terminé|he acabado|acabé)|eso es todo(?: por ahora)?)\W*$/i,
+  fr: /\b(?:j['’]?ai (?:fini|terminé)|c['’]?est tout(?: pour (?:l['’]instant|le moment))?)\W*$/i,
+  de: /\b(?:ich bin fertig|das war['’]?s|das (?:war|ist) alles)(?: für jetzt)?\W*$/i,
+  ar: /(?:انتهيت|خلصت|هذا كل (?:شيء|شي|ما عندي))[\s.!?؟،]*$/,
+};
+
+const greeting = (language) => ({ role: 'assistant', content: translate(language, 'chat.greeting'), at: Date.now() });
+
+/**
+ * useVoiceSession – transport-agnostic voice chat core. Owns chat history,
+ * status, the mic + VAD loop, TTS playback and the blob visualiser; the
+ * transport adapter (`http`, `ws` or `mock`, see ../transports) only moves
+ * audio and text to and from the backend.
+ *
+ * Speech start/end comes from the AudioWorklet VAD (../audio/vad.js); `vad`
+ * overrides its tuning, e.g. `{ endOfSpeechMs: 2500 }`. Without it each
+ * transport's own end-of-utterance timing applies.
+ *
+ * End of turn: `silenceMs` overrides how long a pause ends the utterance.
+ * With `extendedPause` pauses are left alone (up to EXTENDED_PAUSE_MS) and
+ * `turnHint` becomes 'paused' so the UI can say so; the user ends the turn
+ * with `finishTurn()` or by saying "I'm done" in the chat's language (needs
+ * partial transcripts).
+ * `stillThereMs` > 0 sets `turnHint` to 'still-there' when nothing has been
+ * said for that long.
+ *
+ * `capture: 'pcm'` streams 16 kHz PCM16 from an AudioWorklet instead of
+ * MediaRecorder WebM, when the transport negotiates it (WebSocket only).
+ *
+ * Conversations are saved to IndexedDB as they happen; on load the most
+ * recent one is restored and keeps its session_id with the backend.
+ *
+ * `inputDeviceId` / `outputDeviceId` pick the mic and speaker ('' = default).
+ *
+ * Failures land in `error` as `{ type, reason, retrying }` (`type` from
+ * VOICE_ERROR; `reason` for mic errors: 'denied' | 'no-device' | 'unplugged' |
+ * 'failed'). A few in a row are retried automatically, then the chat holds
+ * until `retry()` or `stopChat()`. Failed `resumeSession` / `renameSession` /
+ * `deleteSession` calls report a 'storage' error instead of rejecting.
+ *
+ * Every user turn is screened for crisis language (../safety, `locale` and
+ * optional `safetyPatterns`); a hit, or a `safety` flag from the server, logs
+ * a `{ role: 'event', type: 'safety' }` entry in the history and is exposed
+ * as `safetyEvent` so the UI can pin crisis resources.
+ *
+ * With `recordAudio` on, each spoken turn's audio (the user's recording, the
+ * assistant's TTS) is kept in IndexedDB and linked from its message by
+ * `audioId`, up to `audioRetentionMb` in total.
+ *
+ * While a reply plays, `spokenWord` is the index of the word being spoken
+ * in the last assistant message (server `word_timings` when sent, else an
+ * estimate – see ../audio/captions.js); null otherwise.
+ *
+ * `partialTranscript` is the interim STT of the utterance in progress (when
+ * the transport sends one) until its final transcript replaces it.
+ *
+ * `finishedReply` (`{ text, at }`) changes once per reply that completes in a
+ * live turn – not for greetings or restored history – e.g. to announce it.
+ *
+ * Each turn is timed (../telemetry/turnMetrics.js): `metrics` holds the turn
+ * in progress and the last few finished ones, and `onMetrics(turn)` gets
+ * every finished turn for reporting.
+ *
+ * `inputMode: 'push-to-talk'` records only between `pressTalk()` and
+ * `releaseTalk()` – silence never ends the utterance and talking over a reply
+ * doesn't interrupt it. Waiting for the press, `status` is 'ready'.
+ *
+ * `pauseChat()` mutes the mic and holds any reply mid-playback while the
+ * connection and session stay up; `resumeChat()` carries on where it left
+ * off. `paused` is true in between.
+ *
+ * `language` ('en', 'es', … – see ../i18n) is the language the user speaks:
+ * sent to the backend by the transport and used for the greeting.
+ */
+export default function useVoiceSession(userVisualizerRef, {
+  transport = 'ws',
+  apiBase,
+  capture = 'webm',
+  vad: vadOptions,
+  inputDeviceId = '',
+  outputDeviceId = '',
+  locale = navigator.language,
+  safetyPatterns,
+  recordAudio = false,
+  audioRetentionMb = 100,
+  onMetrics,
+  inputMode = 'hands-free',
+  silenceMs,
+  extendedPause = false,
+  stillThereMs = 0,
+  language = DEFAULT_LANGUAGE,
+} = {}) {
+  /* ============================= React state ============================== */
+  const [chatHistory, setChatHistory] = useState(() => [greeting(language)]);
+  const [status, setStatus]       = useState('idle');   // idle | ready | listening | transcribing | speaking
+  const [isChatting, setChatting] = useState(false);
+  const [paused, setPaused]       = useState(false);
+  const [reconnecting, setReconnecting] = useState(false);
+  const [error, setError]         = useState(null);     // { type, reason, retrying } | null
+  const [spokenWord, setSpokenWord] = useState(null);   // caption highlight in the last reply
+  const [partialTranscript, setPartialTranscript] = useState(null);
+  const [turnHint, setTurnHint]   = useState(null);     // null | 'paused' | 'still-there'
+  const [metrics, setMetrics]     = useState({ current: null, turns: [] });
+  const [finishedReply, setFinishedReply] = useState(null);   // { text, at } of the last completed reply
+
+  /* ========================= Persistent references ======================== */
+  // Network + session
+  const transportRef  = useRef(null);
+  const sessionIdRef  = useRef(generateId());
+  const [sessionId, setSessionId] = useState(sessionIdRef.current);
+
+  // Persistence
+  const pendingSaveRef  = useRef(null);     // { id, messages, timer } awaiting write
+  const restoredRef     = useRef(null);     // history just loaded from storage – no need to re-save
+
+  // Mic & recording – the mic stays open for the whole chat so the user can
+  // cut in while the assistant is talking; only the MediaRecorder is per-utterance.
+  const audioCtxRef     = useRef(null);     // shared by the mic analyser and TTS visualiser
+  const micStreamRef    = useRef(null);
+  const micSourceRef    = useRef(null);
+  const pcmCaptureRef   = useRef(null);     // only in PCM capture mode
+  const delayedMicRef   = useRef(null);     // mic behind a delay line, for pre-rolled WebM
+  const micAnalyserRef  = useRef(null);     // level for the visualiser
+  const vadRef          = useRef(null);     // speech/silence decisions
+  const bargeTimerRef   = useRef(null);
+  const mediaRecRef     = useRef(null);
+  const recordLagRef    = useRef(0);        // ms the recording runs behind the mic
+  const micStartingRef  = useRef(false);    // getUserMedia in flight
+  const micOpeningRef   = useRef(null);     // openMic() promise in flight
+
+  // Push-to-talk
+  const pushToTalkRef   = useRef(inputMode === 'push-to-talk');
+  pushToTalkRef.current = inputMode === 'push-to-talk';
+  const talkStartRef    = useRef(null);     // performance.now() of the press, while held
+
+  // End-of-turn policy
+  const turnPolicyRef   = useRef({ silenceMs, extendedPause, stillThereMs });
+  turnPolicyRef.current = { silenceMs, extendedPause, stillThereMs };
+  const hintTimerRef    = useRef(null);
+  const partialTextRef  = useRef('');       // latest partial transcript of the utterance
+
+  // Audio playback (TTS)
+  const playerRef       = useRef(null);
+  const playbackAudioRef = useRef(null);    // element currently playing, for sink changes
+
+  // Captions – reply text and server word timings of the turn being answered
+  const replyTextRef    = useRef('');
+  const wordTimingsRef  = useRef([]);
+  const replyDoneRef    = useRef(false);    // finishedReply already set for this turn
+  const captionRAF      = useRef(null);
+
+  // Telemetry
+  const turnRef         = useRef(null);     // metrics of the turn in progress
+  const turnCountRef    = useRef(0);
+  const onMetricsRef    = useRef(onMetrics);
+  onMetricsRef.current  = onMetrics;
+
+  // Chosen devices – read when the mic opens / audio starts
+  const devicesRef      = useRef({ inputDeviceId, outputDeviceId });
+  devicesRef.current    = { inputDeviceId, outputDeviceId };
+
+  // Language – read when a turn is screened or logged; transport handlers outlive a switch
+  const languageRef     = useRef({ language, locale, safetyPatterns });
+  languageRef.current   = { language, locale, safetyPatterns };
+
+  // Per-turn audio kept for replay (opt-in)
+  const recordAudioRef  = useRef({ recordAudio, maxBytes: 0 });
+  recordAudioRef.current = { recordAudio, maxBytes: audioRetentionMb * 1024 * 1024 };
+  const userClipRef     = useRef(null);     // Blob of the utterance awaiting its transcript
+  const replyClipRef    = useRef(null);     // Uint8Array[] of the reply being received
+
+  // Turn bookkeeping
+  const awaitingReplyRef   = useRef(false); // utterance sent, transcript not back yet
+  const assistantActiveRef = useRef(false); // reply is streaming or playing
+  const discardReplyRef    = useRef(false); // drop frames of a cancelled reply
+  const pendingTextRef     = useRef(null);  // { text, speak } of a typed turn awaiting its reply
+  const retriesRef         = useRef(0);     // automatic retries since the last good turn
+
+  // Visualisation helpers
+  const micRAF          = useRef(null);
+  const ttsRAF          = useRef(null);
+
+  // Lifecycle flags
+  const activeRef       = useRef(false);
+  const pausedRef       = useRef(false);    // chat open, mic muted and playback held
+
+  /* ========================== Helper functions ============================ */
+  const appendMessage = (role, text, extra) => setChatHistory(h => [...h, { role, content: text, at: Date.now(), ...extra }]);
+
+  /** Keep a turn's audio in the background; returns the id to store on its message. */
+  const storeClip = (role, blob) => {
+    const id = generateId();
+    saveClip({ id, sessionId: sessionIdRef.current, role, blob }, { maxBytes: recordAudioRef.current.maxBytes })
+      .catch(err => console.warn('Failed to save turn audio', err));
+    return id;
+  };
+
+  /** Log that crisis resources were shown; stays in the saved conversation. */
+  const logSafetyEvent = (source, details) => {
+    const { language, locale } = languageRef.current;
+    setChatHistory(h => [...h, {
+      role: 'event', type: 'safety', source, locale, content: translate(language, 'safety.logged'), at: Date.now(), ...details,
+    }]);
+  };
+
+  /** Add a user turn (with its recording, if kept), screening it for crisis language. */
+  const appendUserTurn = (text, clip = null) => {
+    appendMessage('user', text, clip ? { audioId: storeClip('user', clip) } : undefined);
+    const { locale, safetyPatterns } = languageRef.current;
+    const match = detectCrisis(text, { locale, patterns: safetyPatterns });
+    if (match) logSafetyEvent('client', { match });
+  };
+
+  /**
+   * Record a failure. Returns true if the caller should retry on its own;
+   * past MAX_AUTO_RETRIES (or with `autoRetry: false`) the user decides.
+   */
+  const reportError = (type, { reason, autoRetry = true } = {}) => {
+    const retrying = autoRetry && activeRef.current && retriesRef.current < MAX_AUTO_RETRIES;
+    if (retrying) retriesRef.current += 1;
+    setError({ type, reason, retrying });
+    return retrying;
+  };
+
+  /* ------------------------------ Telemetry ----------------------------- */
+  const publishTurn = () => {
+    const turn = turnRef.current;
+    setMetrics(m => ({ ...m, current: turn && { ...turn, marks: { ...turn.marks } } }));
+  };
+
+  /** Open a new turn's metrics; one still open was superseded. */
+  const beginTurn = (kind, bytesSent = 0) => {
+    endTurn('cancelled');
+    turnCountRef.current += 1;
+    turnRef.current = createTurn(kind, { transport, id: turnCountRef.current });
+    turnRef.current.bytesSent = bytesSent;
+    publishTurn();
+  };
+
+  const mark = (name) => {
+    if (markTurn(turnRef.current, name)) publishTurn();
+  };
+
+  const endTurn = (outcome) => {
+    const turn = turnRef.current;
+    if (!turn) return;
+    turnRef.current = null;
+    turn.outcome = outcome;
+    setMetrics(m => ({ current: null, turns: [...m.turns, turn].slice(-MAX_METRIC_TURNS) }));
+    onMetricsRef.current?.(turn);
+  };
+
+  /** Stop listening but keep the chat open, waiting on the error banner. */
+  const holdChat = () => {
+    abortRecording();
+    resetVisualizer();
+    setStatus('idle');
+  };
+
+  /** Feed one analyser reading (../audio/bands.js) to the blob: overall level plus low/mid/high. */
+  const updateVisualizer = ({ level, low, mid, high }) => {
+    if (!userVisualizerRef?.current) return;
+    const mesh = userVisualizerRef.current;
+    const { uniforms } = mesh.material;
+    const target = MathUtils.clamp(level / 40, 0.1, 1.2);
+    uniforms.u_intensity.value = MathUtils.lerp(uniforms.u_intensity.value, target, 0.1);
+    uniforms.u_low.value  = MathUtils.lerp(uniforms.u_low.value, MathUtils.clamp(low / 160, 0, 1), 0.15);
+    uniforms.u_mid.value  = MathUtils.lerp(uniforms.u_mid.value, MathUtils.clamp(mid / 120, 0, 1), 0.15);
+    uniforms.u_high.value = MathUtils.lerp(uniforms.u_high.value, MathUtils.clamp(high / 60, 0, 1), 0.2);
+    const s = 0.8 + uniforms.u_intensity.value * 0.4;
+    mesh.scale.set(s, s, s);
+  };
+
+  const resetVisualizer = () => {
+    const uniforms = userVisualizerRef?.current?.material?.uniforms;
+    if (!uniforms) return;
+    uniforms.u_intensity.value = 0.3;
+    uniforms.u_low.value = uniforms.u_mid.value = uniforms.u_high.value = 0;
+    userVisualizerRef.current.scale.set(0.8, 0.8, 0.8);
+  };
+
+  /* ----------------------------- Mic + VAD ------------------------------ */
+  // Shared while in flight so a pre-opened mic and a key press don't both ask.
+  const openMic = () => {
+    micOpeningRef.current ??= acquireMic().finally(() => { micOpeningRef.current = null; });
+    return micOpeningRef.current;
+  };
+
+  const acquireMic = async () => {
+    if (micStreamRef.current) return micStreamRef.current;
+    const deviceId = devicesRef.current.inputDeviceId;
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: deviceId ? { ...MIC_CONSTRAINTS, deviceId: { exact: deviceId } } : MIC_CONSTRAINTS,
+      });
+    } catch (err) {
+      if (!deviceId || micErrorKind(err) !== 'no-device') throw err;
+      console.warn('Selected microphone unavailable, using the default', err);
+      stream = await navigator.mediaDevices.getUserMedia({ audio: MIC_CONSTRAINTS });
+    }
+    // Fires when the device goes away (unplugged, disabled) – not on our own stop().
+    stream.getAudioTracks().forEach(track => {
+      track.onended = handleMicLost;
+      track.enabled = !pausedRef.current;
+    });
+
+    const ctx = audioCtxRef.current;
+    const source = ctx.createMediaStreamSource(stream);
+    const analyser = ctx.createAnalyser();
+    source.connect(analyser);
+
+    try {
+      vadRef.current = await createVad(ctx, source, {
+        ...vadOptions,
+        endOfSpeechMs: endOfSpeechMs(),
+        onSpeech: handleSpeech,
+        onUtteranceEnd: () => !pushToTalkRef.current && handleUtteranceEnd(),
+      });
+    } catch (err) {
+      stream.getTracks().forEach(t => t.stop());
+      throw err;
+    }
+    delayedMicRef.current = createDelayedMic(ctx, source, prerollMs());
+
+    micStreamRef.current   = stream;
+    micSourceRef.current   = source;
+    micAnalyserRef.current = analyser;
+    return stream;
+  };
+
+  /** Silence that ends an utterance under the current turn policy. */
+  const endOfSpeechMs = () => {
+    const { silenceMs, extendedPause } = turnPolicyRef.current;
+    if (extendedPause) return EXTENDED_PAUSE_MS;
+    return silenceMs ?? vadOptions?.endOfSpeechMs ?? transportRef.current?.endOfSpeechMs;
+  };
+
+  /**
+   * Audio kept from before a barge-in starts recording: the VAD onset
+   * (minSpeechMs) and BARGE_IN_MS both pass before it does.
+   */
+  const prerollMs = () => (vadOptions?.minSpeechMs ?? MIN_SPEECH_MS) + BARGE_IN_MS + PREROLL_MARGIN_MS;
+
+  const ensurePcmCapture = async () => {
+    if (!pcmCaptureRef.current) {
+      pcmCaptureRef.current = await createPcmCapture(audioCtxRef.current, micSourceRef.current, { prerollMs: prerollMs() });
+    }
+    return pcmCaptureRef.current;
+  };
+
+  const closeMic = () => {
+    cancelAnimationFrame(micRAF.current);
+    clearTimeout(bargeTimerRef.current);
+    vadRef.current?.close();
+    pcmCaptureRef.current?.close();
+    delayedMicRef.current?.close();
+    try { micStreamRef.current?.getTracks().forEach(t => t.stop()); } catch { /* ignored */ }
+    vadRef.current         = null;
+    pcmCaptureRef.current  = null;
+    delayedMicRef.current  = null;
+    micStreamRef.current   = null;
+    micSourceRef.current   = null;
+    micAnalyserRef.current = null;
+  };
+
+  /**
+   * Record one utterance; `preroll` keeps the audio just before a barge-in –
+   * from the PCM capture's buffer, or by recording WebM from the delayed mic.
+   */
+  const startMicRecording = async ({ preroll = false } = {}) => {
+    if (!activeRef.current || pausedRef.current || mediaRecRef.current || micStartingRef.current) return;
+    setStatus('listening');
+    cancelAnimationFrame(micRAF.current);
+
+    const usePcm = transportRef.current?.captureFormat === 'pcm16';
+    let stream;
+    micStartingRef.current = true;
+    try {
+      stream = await openMic();
+      if (usePcm) await ensurePcmCapture();
+    } catch (err) {
+      handleMicFailure(err, startMicRecording);
+      return;
+    } finally {
+      micStartingRef.current = false;
+    }
+    if (!activeRef.current || pausedRef.current || mediaRecRef.current) return;
+    if (pushToTalkRef.current && talkStartRef.current == null) {
+      setStatus('ready');   // released before the mic was up
+      return;
+    }
+
+    const transport = transportRef.current;
+    const clipChunks = recordAudioRef.current.recordAudio ? [] : null;
+    let bytesSent = 0;
+    userClipRef.current = null;
+    const delayed = !usePcm && preroll ? delayedMicRef.current : null;
+    const mediaRec = usePcm
+      ? new PcmRecorder(pcmCaptureRef.current, { preroll })
+      : new MediaRecorder(delayed?.stream ?? stream, { mimeType: 'audio/webm' });
+    mediaRecRef.current = mediaRec;
+    recordLagRef.current = delayed?.delayMs ?? 0;
+    transport.startUtterance();
+    vadRef.current.reset();
+    partialTextRef.current = '';
+    scheduleHint('still-there', turnPolicyRef.current.stillThereMs);
+    mediaRec.ondataavailable = (e) => {
+      if (!e.data.size && !e.data.byteLength) return;
+      bytesSent += transport.sendAudio(e.data) || 0;
+      clipChunks?.push(e.data);
+    };
+    mediaRec.start(400);
+
+    const VISUAL_LOOP = () => {
+      if (mediaRec.state !== 'recording') return;
+      updateVisualizer(readBands(micAnalyserRef.current));
+      micRAF.current = requestAnimationFrame(VISUAL_LOOP);
+    };
+    VISUAL_LOOP();
+
+    mediaRec.onstop = () => {
+      mediaRecRef.current = null;
+      cancelAnimationFrame(micRAF.current);
+      clearHint();
+      if (!activeRef.current) return;
+
+      if (clipChunks?.length) {
+        userClipRef.current = usePcm
+          ? encodeWav(clipChunks, PCM_SAMPLE_RATE)
+          : new Blob(clipChunks, { type: 'audio/webm' });
+      }
+
+      // End of speech – the turn's clock starts here.
+      beginTurn('voice', bytesSent);
+
+      // Update UI – waiting for STT → reply.
+      awaitingReplyRef.current = true;
+      transport.endUtterance();
+      setStatus('transcribing');
+      resetVisualizer();
+    };
+  };
+
+  const handleMicFailure = (err, retry) => {
+    console.error('Error accessing microphone', err);
+    // Denied / missing won't fix themselves – don't retry those.
+    const kind = micErrorKind(err);
+    if (activeRef.current && reportError(VOICE_ERROR.MIC, { reason: kind ?? 'failed', autoRetry: !kind })) {
+      setTimeout(retry, ERROR_RETRY_MS);
+    } else {
+      stopChat();
+    }
+  };
+
+  /**
+   * Hand the mic to the user: record straight away (hands-free), or open it
+   * and wait for the talk key (push-to-talk).
+   */
+  const listen = () => {
+    if (!pushToTalkRef.current) {
+      startMicRecording();
+      return;
+    }
+    if (!activeRef.current || pausedRef.current || mediaRecRef.current) return;
+    setStatus('ready');
+    openMic().catch(err => handleMicFailure(err, listen));
+  };
+
+  /** VAD heard the end of the utterance (or the talk key was released) → flush pending data, then close container. */
+  const handleUtteranceEnd = () => {
+    const mediaRec = mediaRecRef.current;
+    if (mediaRec?.state !== 'recording') return;
+    if (mediaRec instanceof PcmRecorder) {
+      mediaRec.stop();   // frames are self-contained – nothing to flush
+      return;
+    }
+
+    const flushAndStop = () => {
+      mediaRec.removeEventListener('dataavailable', flushAndStop);
+      try { mediaRec.stop(); } catch {/* ignored */}
+      // endUtterance is called in mediaRec.onstop to guarantee the final chunk arrived.
+    };
+
+    // Force immediate dataavailable so we have the closing WebM bytes.
+    const flush = () => {
+      if (mediaRecRef.current !== mediaRec || mediaRec.state !== 'recording') return;   // aborted meanwhile
+      try {
+        mediaRec.addEventListener('dataavailable', flushAndStop, { once: true });
+        mediaRec.requestData();
+      } catch {
+        // Fallback: if requestData unsupported, stop immediately.
+        flushAndStop();
+      }
+    };
+
+    // A recording of the delayed mic is that far behind – let it catch up.
+    if (recordLagRef.current) setTimeout(flush, recordLagRef.current);
+    else flush();
+  };
+
+  /**
+   * While recording, speech and pauses drive the turn hints (and the spoken
+   * "I'm done" cue). Between utterances, sustained speech over the reply is a
+   * barge-in.
+   */
+  const handleSpeech = (active) => {
+    clearTimeout(bargeTimerRef.current);
+    if (pushToTalkRef.current) return;   // only the talk key interrupts
+    if (mediaRecRef.current) {
+      clearHint();
+      if (active) return;
+      if (saidDone()) finishTurn();
+      else if (turnPolicyRef.current.extendedPause) {
+        scheduleHint('paused', turnPolicyRef.current.silenceMs ?? transportRef.current?.endOfSpeechMs);
+      }
+      return;
+    }
+    if (!active || mediaRecRef.current || !assistantActiveRef.current) return;
+    bargeTimerRef.current = setTimeout(() => {
+      if (activeRef.current && vadRef.current?.speaking && !mediaRecRef.current && assistantActiveRef.current) bargeIn();
+    }, BARGE_IN_MS);
+  };
+
+  /** The utterance so far ends with the done cue of the chat's language. */
+  const saidDone = () => {
+    const cue = DONE_CUES[languageRef.current.language] ?? DONE_CUES[DEFAULT_LANGUAGE];
+    return cue.test(partialTextRef.current);
+  };
+
+  /** Show `hint` after `ms` unless speech (or the end of the utterance) comes first. */
+  const scheduleHint = (hint, ms) => {
+    clearHint();
+    if (!ms || pushToTalkRef.current) return;
+    hintTimerRef.current = setTimeout(() => setTurnHint(hint), ms);
+  };
+
+  const clearHint = () => {
+    clearTimeout(hintTimerRef.current);
+    setTurnHint(null);
+  };
+
+  /** The user says they're done – end the utterance now instead of waiting out the silence. */
+  const finishTurn = () => {
+    if (pushToTalkRef.current) return;
+    clearHint();
+    handleUtteranceEnd();
+  };
+
+  /** Mic track ended underneath us (device unplugged). */
+  const handleMicLost = () => {
+    if (!activeRef.current) return;
+    console.warn('Microphone disconnected');
+    reportError(VOICE_ERROR.MIC, { reason: 'unplugged', autoRetry: false });
+    stopChat();
+  };
+
+  /** Drop the utterance being recorded without sending it (e.g. the user typed instead). */
+  const abortRecording = () => {
+    const mediaRec = mediaRecRef.current;
+    if (!mediaRec) return;
+    mediaRec.ondataavailable = mediaRec.onstop = null;
+    try { mediaRec.stop(); } catch { /* ignored */ }
+    mediaRecRef.current = null;
+    setPartialTranscript(null);
+    clearHint();
+    cancelAnimationFrame(micRAF.current);
+    resetVisualizer();
+  };
+
+  /** Cut the assistant off: silence playback, cancel the reply and listen. */
+  const bargeIn = ({ preroll = true } = {}) => {
+    endTurn('cancelled');
+    assistantActiveRef.current = false;
+    discardReplyRef.current = true;   // until the next transcript opens a new turn
+    transportRef.current?.cancel();
+    stopPlayback();
+    startMicRecording({ preroll });
+  };
+
+  /** Hand the turn back to the user after a short pause. */
+  const resumeListening = (delay = RESUME_MIC_DELAY_MS) => {
+    setTimeout(() => {
+      if (activeRef.current && !mediaRecRef.current) listen();
+    }, delay);
+  };
+
+  /* ---------------------------- Push-to-talk ---------------------------- */
+  /** Talk key down: start the utterance, cutting off any reply in progress. */
+  const pressTalk = () => {
+    if (!activeRef.current || pausedRef.current || !pushToTalkRef.current) return;
+    if (talkStartRef.current != null || mediaRecRef.current || awaitingReplyRef.current) return;
+    talkStartRef.current = performance.now();
+    if (assistantActiveRef.current) bargeIn({ preroll: false });
+    else startMicRecording();
+  };
+
+  /** Talk key up: send what was said – or drop it if the press was just a tap. */
+  const releaseTalk = () => {
+    if (talkStartRef.current == null) return;
+    const heldMs = performance.now() - talkStartRef.current;
+    talkStartRef.current = null;
+    if (heldMs < MIN_TALK_MS) {
+      abortRecording();
+      listen();
+      return;
+    }
+    handleUtteranceEnd();
+  };
+
+  /* ------------------------------ Playback ------------------------------ */
+  /** Point an AudioContext or media element at the chosen speaker, where supported. */
+  const applyOutputDevice = (target) => {
+    if (typeof target?.setSinkId !== 'function') return;
+    target.setSinkId(devicesRef.current.outputDeviceId)
+      .catch(err => console.warn('Failed to switch output device', err));
+  };
+
+  /** Follow `audio` and highlight the word being spoken until it stops. */
+  const trackCaptions = (audio) => {
+    cancelAnimationFrame(captionRAF.current);
+    let last = null;
+    const CAPTION_LOOP = () => {
+      if (playbackAudioRef.current !== audio || !playerRef.current) return;
+      const idx = audio.currentTime > 0 ? wordAt(audio.currentTime, {
+        wordCount: countWords(replyTextRef.current),
+        timings: wordTimingsRef.current,
+        duration: audio.duration,
+      }) : null;
+      if (idx !== last) setSpokenWord(last = idx);
+      captionRAF.current = requestAnimationFrame(CAPTION_LOOP);
+    };
+    CAPTION_LOOP();
+  };
+
+  const stopCaptions = () => {
+    cancelAnimationFrame(captionRAF.current);
+    setSpokenWord(null);
+  };
+
+  /** A new turn begins – forget the previous reply's text and timings. */
+  const resetReply = () => {
+    replyTextRef.current = '';
+    wordTimingsRef.current = [];
+    replyDoneRef.current = false;
+  };
+
+  /** The reply's text is complete – on its final text, or its audio end if that comes first. */
+  const finishReply = () => {
+    if (replyDoneRef.current || !replyTextRef.current) return;
+    replyDoneRef.current = true;
+    setFinishedReply({ text: replyTextRef.current, at: Date.now() });
+  };
+
+  const visualisePlayback = (audio) => {
+    playbackAudioRef.current = audio;
+    applyOutputDevice(audio);       // used as-is when there's no AudioContext (typed turns)
+    trackCaptions(audio);
+    audio.addEventListener('playing', () => mark('playbackStart'), { once: true });
+    const ctx = audioCtxRef.current;
+    if (!ctx) return;
+    const source = ctx.createMediaElementSource(audio);
+    const analyser = ctx.createAnalyser();
+    source.connect(analyser);
+    analyser.connect(ctx.destination);
+
+    cancelAnimationFrame(ttsRAF.current);
+    const TTS_LOOP = () => {
+      if (!activeRef.current || !playerRef.current) return;
+      updateVisualizer(readBands(analyser));
+      ttsRAF.current = requestAnimationFrame(TTS_LOOP);
+    };
+    TTS_LOOP();
+  };
+
+  const ensurePlayer = () => {
+    if (!playerRef.current) {
+      playerRef.current = createStreamPlayer({ onAudio: visualisePlayback, onEnded: onPlaybackEnded });
+      if (pausedRef.current) playerRef.current.pause();
+    }
+    return playerRef.current;
+  };
+
+  /** TTS finished playing on its own – hand the turn back to the user. */
+  const onPlaybackEnded = () => {
+    const turn = turnRef.current;
+    if (turn?.marks.firstAudioByte != null) turn.playback = playerRef.current?.mode ?? null;
+    mark('playbackEnd');
+    endTurn('completed');
+    assistantActiveRef.current = false;
+    playerRef.current = null;
+    cancelAnimationFrame(ttsRAF.current);
+    stopCaptions();
+    resetVisualizer();
+    resumeListening();
+  };
+
+  /** Stop TTS immediately and flush everything still queued. */
+  const stopPlayback = () => {
+    playerRef.current?.stop();
+    playerRef.current = null;
+    replyClipRef.current = null;      // a cut-off reply isn't worth keeping
+    cancelAnimationFrame(ttsRAF.current);
+    stopCaptions();
+  };
+
+  /* -------------------------- Transport events -------------------------- */
+  const transportEvents = {
+    onOpen: ({ resumed, awaitingReply }) => {
+      setReconnecting(false);
+      if (resumed) awaitingReplyRef.current = awaitingReply;
+      if (!awaitingReplyRef.current) listen();
+    },
+
+    // Connection dropped: a reply cut off mid-stream can't be resumed – drop
+    // its audio and let the user talk. A turn whose reply hadn't started yet
+    // is sent again by the transport, and onOpen keeps waiting for it.
+    onReconnecting: () => {
+      setReconnecting(true);
+      if (assistantActiveRef.current) {
+        endTurn('error');
+        assistantActiveRef.current = false;
+        stopPlayback();
+        listen();
+      }
+    },
+
+    onTranscript: (text) => {
+      discardReplyRef.current = false;
+      awaitingReplyRef.current = false;
+      pendingTextRef.current = null;
+      setPartialTranscript(null);
+      resetReply();
+      mark('sttResult');
+      if (!text?.trim()) {
+        endTurn('empty');
+        // Nothing intelligible – listen again, a few times.
+        if (reportError(VOICE_ERROR.STT_EMPTY)) listen();
+        else if (activeRef.current) holdChat();
+        return;
+      }
+      retriesRef.current = 0;
+      setError(null);
+      appendUserTurn(text, userClipRef.current);
+      userClipRef.current = null;
+      // STT done; waiting for assistant reply.
+      if (activeRef.current) setStatus('transcribing');
+    },
+
+    onPartialTranscript: (text) => {
+      if (!activeRef.current) return;
+      setPartialTranscript(text || null);
+      partialTextRef.current = text ?? '';
+      // The cue often arrives after the VAD already heard the pause.
+      if (mediaRecRef.current && !vadRef.current?.speaking && saidDone()) finishTurn();
+    },
+
+    onAssistantText: (text, partial) => {
+      if (discardReplyRef.current) return; // cancelled reply still draining
+      assistantActiveRef.current = true;
+      if (!partial) pendingTextRef.current = null;
+      mark('firstToken');
+      replyTextRef.current = partial ? replyTextRef.current + text : text;
+      if (!partial) finishReply();
+      // Streamed assistant tokens: if partial, merge into last assistant bubble.
+      if (activeRef.current) setStatus('speaking');
+      setChatHistory(prev => {
+        const history = [...prev];
+        // Events (e.g. a safety flag) logged mid-reply don't split the bubble.
+        const lastIdx = history.findLastIndex(m => m.role !== 'event');
+        const isAssistantLast = lastIdx >= 0 && history[lastIdx].role === 'assistant';
+
+        if (partial) {
+          if (isAssistantLast) {
+            // Append token delta to existing assistant message.
+            const last = history[lastIdx];
+            history[lastIdx] = { ...last, content: last.content + text };
+          } else {
+            // First token – create new assistant bubble.
+            history.push({ role: 'assistant', content: text, at: Date.now() });
+          }
+        } else {
+          // Final full message – ensure bubble has complete content (replace if needed)
+          if (isAssistantLast) {
+            history[lastIdx] = { ...history[lastIdx], content: text };
+          } else {
+            history.push({ role: 'assistant', content: text, at: Date.now() });
+          }
+        }
+        return history;
+      });
+    },
+
+    onAudioChunk: (chunk) => {
+      if (discardReplyRef.current) return; // tail of a reply the user talked over
+      assistantActiveRef.current = true;
+      mark('firstAudioByte');
+      if (turnRef.current) turnRef.current.bytesReceived += chunk.byteLength;
+      if (recordAudioRef.current.recordAudio) (replyClipRef.current ??= []).push(chunk);
+      ensurePlayer().push(chunk);
+    },
+
+    onWordTimings: (words) => {
+      if (discardReplyRef.current) return;
+      wordTimingsRef.current.push(...words);
+    },
+
+    onAudioEnd: () => {
+      if (discardReplyRef.current) return;
+      finishReply();
+      ensurePlayer().end();
+      if (replyClipRef.current) {
+        const audioId = storeClip('assistant', new Blob(replyClipRef.current, { type: 'audio/mpeg' }));
+        replyClipRef.current = null;
+        setChatHistory(prev => {
+          const idx = prev.findLastIndex(m => m.role === 'assistant');
+          if (idx < 0) return prev;
+          const history = [...prev];
+          history[idx] = { ...history[idx], audioId };
+          return history;
+        });
+      }
+    },
+
+    onError: (err) => {
+      console.error('Voice transport error', err);
+      endTurn('error');
+      awaitingReplyRef.current = false;
+      assistantActiveRef.current = false;
+      stopPlayback();
+
+      const type = err?.type ?? VOICE_ERROR.NETWORK;
+      if (type === VOICE_ERROR.SERVER_CLOSED) {
+        reportError(type, { autoRetry: false });   // onClose follows and ends the chat
+        return;
+      }
+      // A failed typed turn waits for retry() rather than looping.
+      if (reportError(type, { autoRetry: !pendingTextRef.current })) resumeListening(ERROR_RETRY_MS);
+      else if (activeRef.current) holdChat();
+    },
+
+    onSafety: ({ resources } = {}) => logSafetyEvent('server', resources ? { lines: resources } : {}),
+
+    // Transport gave up (e.g. reconnect attempts exhausted).
+    onClose: () => {
+      transportRef.current = null;
+      setReconnecting(false);
+      stopChat();
+    },
+  };
+
+  /** The transport outlives a voice chat when text is typed outside of one. */
+  const ensureTransport = () => {
+    if (!transportRef.current) {
+      transportRef.current = createTransport(transport, {
+        apiBase,
+        capture,
+        language: languageRef.current.language,
+        sessionId: sessionIdRef.current,
+        ...transportEvents,
+      });
+      transportRef.current.connect();
+    }
+    return transportRef.current;
+  };
+
+  /* ----------------------------- Public API ----------------------------- */
+  const startChat = () => {
+    if (isChatting) return;
+    activeRef.current = true;
+    setChatting(true);
+    setStatus('listening');
+    resetVisualizer();
+
+    setError(null);
+    retriesRef.current = 0;
+
+    // Created inside the click handler so playback isn't blocked by autoplay policy.
+    audioCtxRef.current = new (window.AudioContext || window.webkitAudioContext)();
+    if (devicesRef.current.outputDeviceId) applyOutputDevice(audioCtxRef.current);
+    if (transportRef.current) listen();              // already open from a typed turn
+    else ensureTransport();                          // mic starts once it opens
+  };
+
+  /**
+   * Send a typed message through the same session, with or without a spoken
+   * reply. Works with or without a voice chat running; during one it replaces
+   * whatever the user was saying and talks over any reply in progress.
+   */
+  const sendText = (text, { speak = true } = {}) => {
+    const prompt = text.trim();
+    if (!prompt) return;
+    appendUserTurn(prompt);
+    submitText(prompt, speak);
+  };
+
+  const submitText = (prompt, speak) => {
+    const transportInstance = ensureTransport();
+    if (assistantActiveRef.current) {
+      transportInstance.cancel();
+      stopPlayback();
+      assistantActiveRef.current = false;
+    }
+    abortRecording();
+    discardReplyRef.current = false;   // the transport drops what's left of a cancelled reply
+    awaitingReplyRef.current = true;
+    pendingTextRef.current = { text: prompt, speak };
+    resetReply();
+    beginTurn('text', new TextEncoder().encode(prompt).length);
+
+    transportInstance.sendText(prompt, { speak });
+    if (activeRef.current) setStatus('transcribing');
+  };
+
+  /**
+   * Try again after an error: resend a failed typed turn, listen again if the
+   * chat is still open, or start a new one (mic / connection errors end it).
+   */
+  const retry = () => {
+    retriesRef.current = 0;
+    setError(null);
+    const pending = pendingTextRef.current;
+    if (pending) submitText(pending.text, pending.speak);
+    else if (activeRef.current) listen();
+    else startChat();
+  };
+
+  const dismissError = () => setError(null);
+
+  /* ---------------------------- Pause / resume --------------------------- */
+  const setMicMuted = (muted) => {
+    micStreamRef.current?.getAudioTracks().forEach(track => { track.enabled = !muted; });
+  };
+
+  /** Take a break: drop the utterance in progress, mute the mic, hold the reply. */
+  const pauseChat = () => {
+    if (!activeRef.current || pausedRef.current) return;
+    pausedRef.current = true;
+    setPaused(true);
+    clearTimeout(bargeTimerRef.current);
+    talkStartRef.current = null;
+    abortRecording();
+    setMicMuted(true);
+    playerRef.current?.pause();
+    resetVisualizer();
+  };
+
+  const resumeChat = () => {
+    if (!activeRef.current || !pausedRef.current) return;
+    pausedRef.current = false;
+    setPaused(false);
+    setMicMuted(false);
+    if (playerRef.current) playerRef.current.resume();          // onPlaybackEnded listens after
+    else if (!assistantActiveRef.current && !awaitingReplyRef.current) listen();
+  };
+
+  const stopChat = () => {
+    if (!activeRef.current) return;
+    activeRef.current = false;
+    pausedRef.current = false;
+    setChatting(false);
+    setPaused(false);
+    setReconnecting(false);
+    setError(e => (e?.retrying ? null : e));   // nothing left to retry
+    setPartialTranscript(null);
+    clearHint();
+    endTurn('cancelled');
+    transportRef.current?.close();
+    transportRef.current = null;
+
+    // cleanup audio + mic
+    awaitingReplyRef.current = false;
+    assistantActiveRef.current = false;
+    discardReplyRef.current = false;
+    talkStartRef.current = null;
+    try { mediaRecRef.current?.stop(); } catch { /* ignored */ }
+    mediaRecRef.current = null;
+    closeMic();
+    stopPlayback();
+    try { audioCtxRef.current?.close(); } catch { /* ignored */ }
+    audioCtxRef.current = null;
+    resetVisualizer();
+    setStatus('idle');
+  };
+
+  /* ------------------------------ Devices ------------------------------- */
+  // New mic mid-chat: reopen it; an utterance in progress starts over. The
+  // effect calls the latest closure, so only a device change re-runs it.
+  const switchMicRef = useRef(null);
+  switchMicRef.current = () => {
+    if (!activeRef.current || !micStreamRef.current) return;
+    const wasRecording = !!mediaRecRef.current;
+    abortRecording();
+    closeMic();
+    if (wasRecording) startMicRecording();
+    else openMic().catch(err => console.error('Error switching microphone', err));
+  };
+  useEffect(() => {
+    switchMicRef.current();
+  }, [inputDeviceId]);
+
+  useEffect(() => {
+    applyOutputDevice(audioCtxRef.current);
+    applyOutputDevice(playbackAudioRef.current);
+  }, [outputDeviceId]);
+
+  // New end-of-turn settings reach a running VAD; endOfSpeechMs() reads them from turnPolicyRef.
+  const applyTurnPolicyRef = useRef(null);
+  applyTurnPolicyRef.current = () => vadRef.current?.configure({ endOfSpeechMs: endOfSpeechMs() });
+  useEffect(() => {
+    applyTurnPolicyRef.current();
+    if (!extendedPause) setTurnHint(h => (h === 'paused' ? null : h));
+  }, [silenceMs, extendedPause]);
+
+  useEffect(() => {
+    transportRef.current?.setLanguage(language);
+    // Nothing said yet – greet in the new language.
+    setChatHistory(h => {
+      const onlyGreeting = h.length === 1 && h[0].role === 'assistant';
+      return onlyGreeting && h[0].content !== translate(language, 'chat.greeting') ? [greeting(language)] : h;
+    });
+  }, [language]);
+
+  // Mode switched mid-chat while it's the user's turn. Like the mic switch,
+  // the effect calls the latest closure and re-runs only on the mode.
+  const switchInputModeRef = useRef(null);
+  switchInputModeRef.current = (mode) => {
+    if (!activeRef.current || assistantActiveRef.current || awaitingReplyRef.current) return;
+    if (mode === 'push-to-talk') {
+      if (talkStartRef.current == null) abortRecording();
+      listen();
+    } else {
+      talkStartRef.current = null;
+      startMicRecording();
+    }
+  };
+  useEffect(() => {
+    switchInputModeRef.current(inputMode);
+  }, [inputMode]);
+
+  /* ---------------------------- Stored sessions ------------------------- */
+  /** Swap in another conversation; the transport is rebuilt for its session_id. */
+  const switchSession = (id, messages) => {
+    stopChat();
+    transportRef.current?.close();
+    transportRef.current = null;
+    flushPendingSave(pendingSaveRef);
+
+    pendingTextRef.current = null;
+    setError(null);
+    sessionIdRef.current = id;
+    setSessionId(id);
+    restoredRef.current = messages;
+    setChatHistory(messages);
+  };
+
+  /** A stored-session operation failed – tell the user rather than leave a rejection unhandled. */
+  const reportStorageError = (err) => {
+    console.warn('Saved conversations operation failed', err);
+    reportError(VOICE_ERROR.STORAGE, { autoRetry: false });
+  };
+
+  const resumeSession = async (id) => {
+    if (id === sessionIdRef.current) return;
+    try {
+      const stored = await getSession(id);
+      if (stored) switchSession(stored.id, stored.messages);
+    } catch (err) {
+      reportStorageError(err);
+    }
+  };
+
+  const newSession = () => switchSession(generateId(), [greeting(language)]);
+
+  const renameSession = (id, title) => renameStored(id, title).catch(reportStorageError);
+
+  /** Delete a stored conversation; the current one is replaced by a new one first. */
+  const deleteSession = async (id) => {
+    // A save still waiting would write it straight back.
+    if (pendingSaveRef.current?.id === id) {
+      clearTimeout(pendingSaveRef.current.timer);
+      pendingSaveRef.current = null;
+    }
+    if (id === sessionIdRef.current) newSession();
+    try {
+      await deleteStored(id);
+    } catch (err) {
+      reportStorageError(err);
+    }
+  };
+
+  // Restore the most recent conversation after a reload.
+  useEffect(() => {
+    let cancelled = false;
+    listSessions()
+      .then(([latest]) => {
+        if (cancelled || !latest || transportRef.current) return;
+        sessionIdRef.current = latest.id;
+        setSessionId(latest.id);
+        restoredRef.current = latest.messages;
+        setChatHistory(latest.messages);
+      })
+      .catch(err => console.warn('Failed to restore session', err));
+    return () => { cancelled = true; };
+  }, []);
+
+  // Save as the conversation grows (debounced); flush before the page goes away.
+  useEffect(() => {
+    if (chatHistory === restoredRef.current || !chatHistory.some(m => m.role === 'user')) return;
+    clearTimeout(pendingSaveRef.current?.timer);
+    const pending = { id: sessionIdRef.current, messages: chatHistory };
+    pending.timer = setTimeout(() => flushPendingSave(pendingSaveRef), SAVE_DEBOUNCE_MS);
+    pendingSaveRef.current = pending;
+  }, [chatHistory]);
+
+  useEffect(() => {
+    const flush = () => flushPendingSave(pendingSaveRef);
+    window.addEventListener('pagehide', flush);
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      flush();
+    };
+  }, []);
+
+  /* --------------------------- Cleanup on unmount ------------------------ */
+  useEffect(() => () => {
+    transportRef.current?.close();
+    micStreamRef.current?.getTracks().forEach(t => t.stop());
+  }, []);
+
+  const safetyEvent = chatHistory.findLast(isSafetyEvent) ?? null;
+
+  return {
+    chatHistory, isChatting, status, reconnecting, startChat, stopChat, sendText,
+    error, retry, dismissError, safetyEvent, spokenWord, partialTranscript, finishedReply, metrics,
+    pressTalk, releaseTalk, turnHint, finishTurn, paused, pauseChat, resumeChat,
+    sessionId, resumeSession, newSession, renameSession, deleteSession,
+  };
+}
+
+/* -------------------------------------------------------------------------
+   Helpers
+--------------------------------------------------------------------------- */
+/** Mic failures the user has to fix themselves; null for anything worth retrying. */
+function micErrorKind(err) {
+  if (err?.name === 'NotAllowedError' || err?.name === 'SecurityError') return 'denied';
+  if (err?.name === 'NotFoundError' || err?.name === 'OverconstrainedError') return 'no-device';
+  return null;
+}
+
+/** Write the debounced save now, if one is waiting. */
+function flushPendingSave(pendingSaveRef) {
+  const pending = pendingSaveRef.current;
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  pendingSaveRef.current = null;
+  saveSession(pending).catch(err => console.warn('Failed to save session', err));
+}
@@ -0,0 +1,7 @@
+import { createContext, useContext } from 'react';
+import { createI18n } from './index.js';
+
+export const I18nContext = createContext(createI18n());
+
+/** useI18n – the current `{ language, dir, locale, t }`; App provides it from the language setting. */
+export const useI18n = () => useContext(I18nContext);
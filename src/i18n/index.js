@@ -0,0 +1,57 @@
+import en from './messages/en.js';
+import es from './messages/es.js';
+import fr from './messages/fr.js';
+import de from './messages/de.js';
+import ar from './messages/ar.js';
+
+/* ---------------------------------------------------------------------------
+   UI languages. `code` is also the spoken language sent to the backend
+   (`language` in /stt, /chat_stream and the WS start_mic_stream message).
+   English is the fallback for any key a catalogue lacks.
+--------------------------------------------------------------------------- */
+export const LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Español' },
+  { code: 'fr', name: 'Français' },
+  { code: 'de', name: 'Deutsch' },
+  { code: 'ar', name: 'العربية', dir: 'rtl' },
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const MESSAGES = { en, es, fr, de, ar };
+
+const baseOf = (tag = '') => tag.toLowerCase().split(/[-_]/)[0];
+
+/** First of the browser's preferred languages we have a catalogue for. */
+export function detectLanguage(preferred = typeof navigator !== 'undefined' ? navigator.languages ?? [navigator.language] : []) {
+  return preferred.map(baseOf).find(code => code in MESSAGES) ?? DEFAULT_LANGUAGE;
+}
+
+export const dirOf = (language) => LANGUAGES.find(l => l.code === language)?.dir ?? 'ltr';
+
+/**
+ * The browser's own locale when it's in `language` (keeps the region – e.g.
+ * 'en-GB' – for dates and crisis lines), otherwise the bare language.
+ */
+export function localeFor(language) {
+  const preferred = typeof navigator !== 'undefined' ? navigator.languages ?? [navigator.language] : [];
+  return preferred.find(tag => baseOf(tag) === language) ?? language;
+}
+
+/** Message `key` in `language`, with `{name}` placeholders filled from `vars`. */
+export function translate(language, key, vars) {
+  const text = MESSAGES[language]?.[key] ?? en[key] ?? key;
+  if (!vars) return text;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+/** `{ language, dir, locale, t(key, vars) }` for one language – what useI18n() hands out. */
+export function createI18n(language = DEFAULT_LANGUAGE) {
+  return {
+    language,
+    dir: dirOf(language),
+    locale: localeFor(language),
+    t: (key, vars) => translate(language, key, vars),
+  };
+}
@@ -0,0 +1,167 @@
+/** Arabic (right-to-left). */
+export default {
+  // Conversation
+  'chat.greeting': 'مرحبًا، أنا هنا لأستمع إليك. كيف يمكنني مساعدتك اليوم؟',
+  'chat.title': 'معالج بالذكاء الاصطناعي',
+  'chat.log': 'المحادثة',
+  'chat.importFailed': 'تعذّر استيراد "{name}": {error}',
+  'safety.logged': 'تم عرض موارد الأزمات',
+
+  // Header
+  'sessions.show': 'إظهار المحادثات',
+  'sessions.hide': 'إخفاء المحادثات',
+  'settings.show': 'إعدادات الصوت',
+  'settings.hide': 'إخفاء الإعدادات',
+
+  // Mic and voice controls
+  'mic.denied': 'الوصول إلى الميكروفون محظور. اسمح به من إعدادات الموقع في متصفحك لتتمكن من التحدث.',
+  'mic.noDevice': 'لم يتم العثور على ميكروفون. وصّل ميكروفونًا أو اختر غيره من الإعدادات.',
+  'mic.unplugged': 'تم فصل الميكروفون.',
+  'mic.failed': 'تعذّر تشغيل الميكروفون.',
+  'voice.start': 'بدء المحادثة الصوتية',
+  'voice.end': 'إنهاء المحادثة الصوتية',
+  'voice.endButton': 'إنهاء',
+  'voice.pause': 'إيقاف المحادثة الصوتية مؤقتًا',
+  'voice.resume': 'استئناف المحادثة الصوتية',
+  'voice.dialog': 'محادثة صوتية',
+  'voice.holdToTalk': 'اضغط مطولًا للتحدث',
+  'voice.releaseToSend': 'أفلت للإرسال',
+  'voice.done': 'انتهيت',
+  'mode.handsFree': 'بدون استخدام اليدين',
+  'mode.pushToTalk': 'اضغط للتحدث',
+  'mode.switch': 'تغيير طريقة أخذ الدور',
+  'mode.current': 'وضع الإدخال: {mode}. تغيير',
+
+  // Status
+  'status.ready': 'اضغط مطولًا على المسافة أو الزر للتحدث',
+  'status.listening': 'يستمع…',
+  'status.transcribing': 'يحوّل الكلام إلى نص…',
+  'status.speaking': 'يتحدث…',
+  'status.reconnecting': 'يعيد الاتصال…',
+  'status.paused': 'متوقف مؤقتًا – الميكروفون مغلق',
+  'hint.paused': 'خذ وقتك… قل "انتهيت" عندما تنتهي',
+  'hint.stillThere': 'هل ما زلت هنا؟ أنا أستمع متى كنت مستعدًا',
+
+  // Common actions
+  'action.retry': 'إعادة المحاولة',
+  'action.end': 'إنهاء',
+  'action.dismiss': 'إغلاق',
+  'action.settings': 'الإعدادات',
+  'action.close': 'إغلاق الإعدادات',
+  'action.save': 'حفظ',
+  'action.cancel': 'إلغاء',
+  'action.rename': 'إعادة التسمية',
+  'action.delete': 'حذف',
+
+  // Composer
+  'composer.placeholder': 'اكتب رسالة…',
+  'composer.label': 'رسالة',
+  'composer.send': 'إرسال الرسالة',
+  'composer.spoken': 'سيتم نطق الرد',
+  'composer.textOnly': 'سيكون الرد نصيًا فقط',
+
+  // Errors
+  'error.network': 'تعذّر الوصول إلى الخادم.',
+  'error.sttEmpty': 'عذرًا، لم أفهم ما قلته.',
+  'error.ttsFailed': 'تعذّر تشغيل الرد.',
+  'error.serverClosed': 'انقطع الاتصال بالخادم.',
+  'error.storage': 'تعذّر تحديث محادثاتك المحفوظة.',
+  'error.generic': 'حدث خطأ ما.',
+  'error.retrying': 'تتم إعادة المحاولة…',
+
+  // Safety panel
+  'safety.label': 'دعم الأزمات',
+  'safety.heading': 'لست مضطرًا لمواجهة هذا وحدك.',
+  'safety.body': 'إذا كنت تفكر في إيذاء نفسك، فتواصل مع أحد الآن من فضلك. هذه الخدمات مجانية وسرية.',
+  'safety.text': 'رسالة نصية {number}',
+  'safety.website': 'الموقع الإلكتروني',
+  'safety.dangerCall': 'إذا كنت في خطر مباشر، اتصل بالرقم {number}.',
+  'safety.dangerLocal': 'إذا كنت في خطر مباشر، اتصل برقم الطوارئ المحلي.',
+
+  // Export
+  'export.title': 'تصدير النص',
+  'export.markdown': 'Markdown',
+  'export.json': 'JSON (قابل لإعادة الاستيراد)',
+  'export.print': 'طباعة / PDF',
+  'export.includeAudio': 'تضمين الصوت (JSON، عرض الطباعة)',
+
+  // Exported transcripts
+  'transcript.you': 'أنت',
+  'transcript.session': 'الجلسة',
+  'transcript.started': 'البداية',
+  'transcript.updated': 'آخر تحديث',
+  'transcript.exported': 'تاريخ التصدير',
+  'transcript.print': 'طباعة / حفظ كملف PDF',
+
+  // Transcript import
+  'import.notTranscript': 'هذا ليس نصًا من Voice Therapist',
+  'import.tooNew': 'إصدار النص {version} أحدث مما يدعمه هذا التطبيق',
+  'import.malformed': 'رسائل النص غير صالحة',
+  'import.badAudio': 'يجب أن يكون صوت النص مضمّنًا في الملف',
+
+  // Replay
+  'replay.play': 'إعادة تشغيل الصوت',
+  'replay.stop': 'إيقاف',
+  'replay.missing': 'لم يعد الصوت محفوظًا',
+
+  // Sessions
+  'sessions.new': 'محادثة جديدة',
+  'sessions.untitled': 'محادثة جديدة',   // title until the user says something
+  'sessions.import': 'استيراد نص بصيغة JSON',
+  'sessions.empty': 'لا توجد محادثات محفوظة بعد.',
+  'sessions.confirmDelete': 'حذف "{title}"؟',
+
+  // Settings
+  'settings.title': 'الإعدادات',
+  'settings.language': 'اللغة',
+  'settings.languageHint': 'تُستخدم في التطبيق وتُرسل إلى الخادم على أنها اللغة التي تتحدث بها.',
+  'settings.microphone': 'الميكروفون',
+  'settings.microphoneN': 'ميكروفون {n}',
+  'settings.speaker': 'مكبر الصوت',
+  'settings.speakerN': 'مكبر الصوت {n}',
+  'settings.systemDefault': 'الافتراضي للنظام',
+  'settings.noMicrophone': 'لم يتم العثور على ميكروفون. وصّل ميكروفونًا للتحدث.',
+  'settings.talking': 'التحدث',
+  'settings.handsFreeHint': 'تحدث في أي وقت؛ التوقف ينهي دورك.',
+  'settings.pushToTalkHint': 'اضغط مطولًا على المسافة أو زر التحدث أثناء كلامك.',
+  'settings.endOfTurn': 'نهاية الدور',
+  'settings.pauseBeforeReply': 'مدة التوقف قبل الرد',
+  'settings.extendedPause': 'توقفات طويلة',
+  'settings.extendedPauseHint': 'خذ وقتك – قل "انتهيت" أو اضغط على الزر للإنهاء.',
+  'settings.stillThere': 'السؤال "هل ما زلت هنا؟" بعد',
+  'settings.never': 'أبدًا',
+  'settings.seconds': '{n} ث',
+  'settings.turnAudio': 'صوت الأدوار',
+  'settings.keepAudio': 'الاحتفاظ بصوت كل دور على هذا الجهاز لإعادة تشغيله',
+  'settings.keepUpTo': 'الاحتفاظ بما يصل إلى',
+  'settings.oldestFirst': '– يُحذف الصوت الأقدم أولًا.',
+  'settings.visualiser': 'العرض المرئي',
+  'settings.visualiserAuto': 'تلقائي',
+  'settings.visualiserWebgl': 'كرة ثلاثية الأبعاد',
+  'settings.visualiserPulse': 'نبض بسيط',
+  'settings.visualiserStatic': 'ثابت (بلا حركة)',
+  'settings.visualiserAutoHint': 'يتبع إعداد تقليل الحركة لديك وينتقل إلى نبض أخف على الأجهزة البطيئة.',
+  'settings.latencyOverlay': 'إظهار لوحة زمن الاستجابة',
+  'settings.permissionGranted': 'تم السماح بالوصول إلى الميكروفون.',
+  'settings.permissionDenied': 'الوصول إلى الميكروفون محظور. اسمح به من إعدادات الموقع في متصفحك ثم حاول مجددًا.',
+  'settings.permissionPrompt': 'سيطلب المتصفح الوصول إلى الميكروفون.',
+  'settings.allowMic': 'السماح بالميكروفون لرؤية أسماء الأجهزة',
+
+  // Latency overlay
+  'metrics.sinceInput': 'منذ نهاية الإدخال',
+  'metrics.turn': 'الدور',
+  'metrics.median': 'الوسيط ({n})',
+  'metrics.inProgress': 'قيد التنفيذ',
+  'metrics.noTurns': 'لا توجد أدوار بعد',
+  'metrics.sttResult': 'تحويل الكلام',
+  'metrics.firstToken': 'أول رمز',
+  'metrics.firstAudioByte': 'أول صوت',
+  'metrics.playbackStart': 'قيد التشغيل',
+  'metrics.playbackEnd': 'انتهى',
+  'metrics.voice': 'صوت',
+  'metrics.text': 'نص',
+  'metrics.completed': 'مكتمل',
+  'metrics.cancelled': 'ملغى',
+  'metrics.empty': 'فارغ',
+  'metrics.error': 'خطأ',
+};
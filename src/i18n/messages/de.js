@@ -0,0 +1,167 @@
+/** German. */
+export default {
+  // Conversation
+  'chat.greeting': 'Hallo, ich bin da und höre dir zu. Wie kann ich dir heute helfen?',
+  'chat.title': 'KI-Therapeut',
+  'chat.log': 'Unterhaltung',
+  'chat.importFailed': '„{name}“ konnte nicht importiert werden: {error}',
+  'safety.logged': 'Krisenhilfe angezeigt',
+
+  // Header
+  'sessions.show': 'Unterhaltungen anzeigen',
+  'sessions.hide': 'Unterhaltungen ausblenden',
+  'settings.show': 'Audioeinstellungen',
+  'settings.hide': 'Einstellungen ausblenden',
+
+  // Mic and voice controls
+  'mic.denied': 'Der Mikrofonzugriff ist blockiert. Erlaube ihn in den Website-Einstellungen deines Browsers, um zu sprechen.',
+  'mic.noDevice': 'Kein Mikrofon gefunden. Schließe eins an oder wähle ein anderes in den Einstellungen.',
+  'mic.unplugged': 'Dein Mikrofon wurde getrennt.',
+  'mic.failed': 'Das Mikrofon konnte nicht gestartet werden.',
+  'voice.start': 'Sprachchat starten',
+  'voice.end': 'Sprachchat beenden',
+  'voice.endButton': 'Beenden',
+  'voice.pause': 'Sprachchat pausieren',
+  'voice.resume': 'Sprachchat fortsetzen',
+  'voice.dialog': 'Sprachchat',
+  'voice.holdToTalk': 'Zum Sprechen halten',
+  'voice.releaseToSend': 'Zum Senden loslassen',
+  'voice.done': 'Ich bin fertig',
+  'mode.handsFree': 'Freihändig',
+  'mode.pushToTalk': 'Push-to-Talk',
+  'mode.switch': 'Ändern, wie du an die Reihe kommst',
+  'mode.current': 'Eingabemodus: {mode}. Wechseln',
+
+  // Status
+  'status.ready': 'Halte die Leertaste oder den Knopf zum Sprechen',
+  'status.listening': 'Hört zu…',
+  'status.transcribing': 'Transkribiert…',
+  'status.speaking': 'Spricht…',
+  'status.reconnecting': 'Verbindet neu…',
+  'status.paused': 'Pausiert – das Mikrofon ist aus',
+  'hint.paused': 'Lass dir Zeit… sag „Ich bin fertig“, wenn du so weit bist',
+  'hint.stillThere': 'Bist du noch da? Ich höre zu, sobald du bereit bist',
+
+  // Common actions
+  'action.retry': 'Erneut versuchen',
+  'action.end': 'Beenden',
+  'action.dismiss': 'Schließen',
+  'action.settings': 'Einstellungen',
+  'action.close': 'Einstellungen schließen',
+  'action.save': 'Speichern',
+  'action.cancel': 'Abbrechen',
+  'action.rename': 'Umbenennen',
+  'action.delete': 'Löschen',
+
+  // Composer
+  'composer.placeholder': 'Nachricht eingeben…',
+  'composer.label': 'Nachricht',
+  'composer.send': 'Nachricht senden',
+  'composer.spoken': 'Die Antwort wird vorgelesen',
+  'composer.textOnly': 'Die Antwort kommt nur als Text',
+
+  // Errors
+  'error.network': 'Der Server ist nicht erreichbar.',
+  'error.sttEmpty': 'Entschuldige, das habe ich nicht verstanden.',
+  'error.ttsFailed': 'Die Antwort konnte nicht abgespielt werden.',
+  'error.serverClosed': 'Die Verbindung zum Server wurde unterbrochen.',
+  'error.storage': 'Deine gespeicherten Unterhaltungen konnten nicht aktualisiert werden.',
+  'error.generic': 'Etwas ist schiefgelaufen.',
+  'error.retrying': 'Neuer Versuch…',
+
+  // Safety panel
+  'safety.label': 'Krisenhilfe',
+  'safety.heading': 'Du musst das nicht allein durchstehen.',
+  'safety.body': 'Wenn du daran denkst, dir etwas anzutun, wende dich bitte jetzt an jemanden. Diese Angebote sind kostenlos und vertraulich.',
+  'safety.text': 'SMS {number}',
+  'safety.website': 'Website',
+  'safety.dangerCall': 'Wenn du in akuter Gefahr bist, ruf {number} an.',
+  'safety.dangerLocal': 'Wenn du in akuter Gefahr bist, ruf deine örtliche Notrufnummer an.',
+
+  // Export
+  'export.title': 'Transkript exportieren',
+  'export.markdown': 'Markdown',
+  'export.json': 'JSON (wieder importierbar)',
+  'export.print': 'Drucken / PDF',
+  'export.includeAudio': 'Audio einschließen (JSON, Druckansicht)',
+
+  // Exported transcripts
+  'transcript.you': 'Du',
+  'transcript.session': 'Sitzung',
+  'transcript.started': 'Begonnen',
+  'transcript.updated': 'Zuletzt aktualisiert',
+  'transcript.exported': 'Exportiert',
+  'transcript.print': 'Drucken / Als PDF speichern',
+
+  // Transcript import
+  'import.notTranscript': 'Kein Voice-Therapist-Transkript',
+  'import.tooNew': 'Transkriptversion {version} ist neuer, als diese App unterstützt',
+  'import.malformed': 'Die Nachrichten des Transkripts sind fehlerhaft',
+  'import.badAudio': 'Das Audio des Transkripts muss in die Datei eingebettet sein',
+
+  // Replay
+  'replay.play': 'Audio abspielen',
+  'replay.stop': 'Stopp',
+  'replay.missing': 'Audio nicht mehr gespeichert',
+
+  // Sessions
+  'sessions.new': 'Neue Unterhaltung',
+  'sessions.untitled': 'Neue Unterhaltung',   // title until the user says something
+  'sessions.import': 'JSON-Transkript importieren',
+  'sessions.empty': 'Noch keine gespeicherten Unterhaltungen.',
+  'sessions.confirmDelete': '„{title}“ löschen?',
+
+  // Settings
+  'settings.title': 'Einstellungen',
+  'settings.language': 'Sprache',
+  'settings.languageHint': 'Gilt für die App und wird dem Server als deine gesprochene Sprache mitgeteilt.',
+  'settings.microphone': 'Mikrofon',
+  'settings.microphoneN': 'Mikrofon {n}',
+  'settings.speaker': 'Lautsprecher',
+  'settings.speakerN': 'Lautsprecher {n}',
+  'settings.systemDefault': 'Systemstandard',
+  'settings.noMicrophone': 'Kein Mikrofon gefunden. Schließe eins an, um zu sprechen.',
+  'settings.talking': 'Sprechen',
+  'settings.handsFreeHint': 'Sprich jederzeit; eine Pause beendet deinen Beitrag.',
+  'settings.pushToTalkHint': 'Halte beim Sprechen die Leertaste oder den Sprechknopf gedrückt.',
+  'settings.endOfTurn': 'Ende des Beitrags',
+  'settings.pauseBeforeReply': 'Pause vor der Antwort',
+  'settings.extendedPause': 'Lange Pausen',
+  'settings.extendedPauseHint': 'Lass dir Zeit – sag „Ich bin fertig“ oder tippe auf den Knopf.',
+  'settings.stillThere': '„Noch da?“ fragen nach',
+  'settings.never': 'nie',
+  'settings.seconds': '{n} s',
+  'settings.turnAudio': 'Audio der Beiträge',
+  'settings.keepAudio': 'Audio jedes Beitrags zum erneuten Anhören auf diesem Gerät speichern',
+  'settings.keepUpTo': 'Bis zu',
+  'settings.oldestFirst': 'behalten – älteres Audio wird zuerst gelöscht.',
+  'settings.visualiser': 'Visualisierung',
+  'settings.visualiserAuto': 'Automatisch',
+  'settings.visualiserWebgl': '3D-Kugel',
+  'settings.visualiserPulse': 'Einfacher Puls',
+  'settings.visualiserStatic': 'Statisch (keine Bewegung)',
+  'settings.visualiserAutoHint': 'Folgt deiner Einstellung für reduzierte Bewegung und wechselt auf langsamen Geräten zu einem leichteren Puls.',
+  'settings.latencyOverlay': 'Latenzanzeige einblenden',
+  'settings.permissionGranted': 'Mikrofonzugriff erlaubt.',
+  'settings.permissionDenied': 'Der Mikrofonzugriff ist blockiert. Erlaube ihn in den Website-Einstellungen deines Browsers und versuche es erneut.',
+  'settings.permissionPrompt': 'Der Browser fragt nach dem Mikrofonzugriff.',
+  'settings.allowMic': 'Mikrofon erlauben, um Gerätenamen zu sehen',
+
+  // Latency overlay
+  'metrics.sinceInput': 'seit Ende der Eingabe',
+  'metrics.turn': 'Runde',
+  'metrics.median': 'Median ({n})',
+  'metrics.inProgress': 'läuft',
+  'metrics.noTurns': 'Noch keine Runden',
+  'metrics.sttResult': 'STT',
+  'metrics.firstToken': '1. Token',
+  'metrics.firstAudioByte': '1. Audio',
+  'metrics.playbackStart': 'Wiedergabe',
+  'metrics.playbackEnd': 'fertig',
+  'metrics.voice': 'Sprache',
+  'metrics.text': 'Text',
+  'metrics.completed': 'abgeschlossen',
+  'metrics.cancelled': 'abgebrochen',
+  'metrics.empty': 'leer',
+  'metrics.error': 'Fehler',
+};
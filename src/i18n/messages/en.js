@@ -0,0 +1,167 @@
+/** English – the reference catalogue; every key used in the UI is here. */
+export default {
+  // Conversation
+  'chat.greeting': "Hello, I'm here to listen. How can I assist you today?",
+  'chat.title': 'AI Therapist',
+  'chat.log': 'Conversation',
+  'chat.importFailed': 'Couldn\'t import "{name}": {error}',
+  'safety.logged': 'Crisis resources shown',
+
+  // Header
+  'sessions.show': 'Show conversations',
+  'sessions.hide': 'Hide conversations',
+  'settings.show': 'Audio settings',
+  'settings.hide': 'Hide settings',
+
+  // Mic and voice controls
+  'mic.denied': "Microphone access is blocked. Allow it in your browser's site settings to talk.",
+  'mic.noDevice': 'No microphone found. Plug one in or pick another in settings.',
+  'mic.unplugged': 'Your microphone was disconnected.',
+  'mic.failed': "The microphone couldn't be started.",
+  'voice.start': 'Start voice chat',
+  'voice.end': 'End voice chat',
+  'voice.endButton': 'End voice',
+  'voice.pause': 'Pause voice chat',
+  'voice.resume': 'Resume voice chat',
+  'voice.dialog': 'Voice chat',
+  'voice.holdToTalk': 'Hold to talk',
+  'voice.releaseToSend': 'Release to send',
+  'voice.done': "I'm done",
+  'mode.handsFree': 'Hands-free',
+  'mode.pushToTalk': 'Push-to-talk',
+  'mode.switch': 'Switch how you take turns',
+  'mode.current': 'Input mode: {mode}. Switch',
+
+  // Status
+  'status.ready': 'Hold Space or the button to talk',
+  'status.listening': 'Listening…',
+  'status.transcribing': 'Transcribing…',
+  'status.speaking': 'Speaking…',
+  'status.reconnecting': 'Reconnecting…',
+  'status.paused': 'Paused – the mic is off',
+  'hint.paused': 'Take your time… say "I\'m done" when you\'re finished',
+  'hint.stillThere': "Still there? I'm listening whenever you're ready",
+
+  // Common actions
+  'action.retry': 'Retry',
+  'action.end': 'End',
+  'action.dismiss': 'Dismiss',
+  'action.settings': 'Settings',
+  'action.close': 'Close settings',
+  'action.save': 'Save',
+  'action.cancel': 'Cancel',
+  'action.rename': 'Rename',
+  'action.delete': 'Delete',
+
+  // Composer
+  'composer.placeholder': 'Type a message…',
+  'composer.label': 'Message',
+  'composer.send': 'Send message',
+  'composer.spoken': 'Reply will be spoken',
+  'composer.textOnly': 'Reply will be text only',
+
+  // Errors
+  'error.network': "Can't reach the server.",
+  'error.sttEmpty': "Sorry, I didn't catch that.",
+  'error.ttsFailed': "The reply couldn't be played.",
+  'error.serverClosed': 'The connection to the server was lost.',
+  'error.storage': "Couldn't update your saved conversations.",
+  'error.generic': 'Something went wrong.',
+  'error.retrying': 'Trying again…',
+
+  // Safety panel
+  'safety.label': 'Crisis support',
+  'safety.heading': "You don't have to go through this alone.",
+  'safety.body': "If you're thinking about harming yourself, please reach out to someone now. These services are free and confidential.",
+  'safety.text': 'Text {number}',
+  'safety.website': 'Website',
+  'safety.dangerCall': "If you're in immediate danger, call {number}.",
+  'safety.dangerLocal': "If you're in immediate danger, call your local emergency number.",
+
+  // Export
+  'export.title': 'Export transcript',
+  'export.markdown': 'Markdown',
+  'export.json': 'JSON (re-importable)',
+  'export.print': 'Print / PDF',
+  'export.includeAudio': 'Include audio (JSON, print view)',
+
+  // Exported transcripts
+  'transcript.you': 'You',
+  'transcript.session': 'Session',
+  'transcript.started': 'Started',
+  'transcript.updated': 'Last updated',
+  'transcript.exported': 'Exported',
+  'transcript.print': 'Print / Save as PDF',
+
+  // Transcript import
+  'import.notTranscript': 'Not a Voice Therapist transcript',
+  'import.tooNew': 'Transcript version {version} is newer than this app supports',
+  'import.malformed': 'Transcript messages are malformed',
+  'import.badAudio': 'Transcript audio must be embedded in the file',
+
+  // Replay
+  'replay.play': 'Replay audio',
+  'replay.stop': 'Stop',
+  'replay.missing': 'Audio no longer kept',
+
+  // Sessions
+  'sessions.new': 'New conversation',
+  'sessions.untitled': 'New conversation',   // title until the user says something
+  'sessions.import': 'Import a JSON transcript',
+  'sessions.empty': 'No saved conversations yet.',
+  'sessions.confirmDelete': 'Delete "{title}"?',
+
+  // Settings
+  'settings.title': 'Settings',
+  'settings.language': 'Language',
+  'settings.languageHint': 'Used for the app and sent to the server as the language you speak.',
+  'settings.microphone': 'Microphone',
+  'settings.microphoneN': 'Microphone {n}',
+  'settings.speaker': 'Speaker',
+  'settings.speakerN': 'Speaker {n}',
+  'settings.systemDefault': 'System default',
+  'settings.noMicrophone': 'No microphone found. Plug one in to talk.',
+  'settings.talking': 'Talking',
+  'settings.handsFreeHint': 'Talk any time; a pause ends your turn.',
+  'settings.pushToTalkHint': 'Hold Space or the talk button while you speak.',
+  'settings.endOfTurn': 'End of turn',
+  'settings.pauseBeforeReply': 'Pause before replying',
+  'settings.extendedPause': 'Extended pauses',
+  'settings.extendedPauseHint': 'Take your time – say "I\'m done" or tap Done to finish.',
+  'settings.stillThere': 'Ask "still there?" after',
+  'settings.never': 'never',
+  'settings.seconds': '{n} s',
+  'settings.turnAudio': 'Turn audio',
+  'settings.keepAudio': 'Keep audio of each turn on this device for replay',
+  'settings.keepUpTo': 'Keep up to',
+  'settings.oldestFirst': '– oldest audio is removed first.',
+  'settings.visualiser': 'Visualiser',
+  'settings.visualiserAuto': 'Automatic',
+  'settings.visualiserWebgl': '3D blob',
+  'settings.visualiserPulse': 'Simple pulse',
+  'settings.visualiserStatic': 'Still (no motion)',
+  'settings.visualiserAutoHint': 'Follows your reduced-motion setting and switches to a lighter pulse on slow devices.',
+  'settings.latencyOverlay': 'Show latency overlay',
+  'settings.permissionGranted': 'Microphone access allowed.',
+  'settings.permissionDenied': "Microphone access is blocked. Allow it from your browser's site settings, then try again.",
+  'settings.permissionPrompt': 'The browser will ask for microphone access.',
+  'settings.allowMic': 'Allow microphone to see device names',
+
+  // Latency overlay
+  'metrics.sinceInput': 'since end of input',
+  'metrics.turn': 'turn',
+  'metrics.median': 'median ({n})',
+  'metrics.inProgress': 'in progress',
+  'metrics.noTurns': 'No turns yet',
+  'metrics.sttResult': 'STT',
+  'metrics.firstToken': '1st token',
+  'metrics.firstAudioByte': '1st audio',
+  'metrics.playbackStart': 'playing',
+  'metrics.playbackEnd': 'done',
+  'metrics.voice': 'voice',
+  'metrics.text': 'text',
+  'metrics.completed': 'completed',
+  'metrics.cancelled': 'cancelled',
+  'metrics.empty': 'empty',
+  'metrics.error': 'error',
+};
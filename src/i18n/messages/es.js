@@ -0,0 +1,167 @@
+/** Spanish. */
+export default {
+  // Conversation
+  'chat.greeting': 'Hola, estoy aquí para escucharte. ¿En qué puedo ayudarte hoy?',
+  'chat.title': 'Terapeuta IA',
+  'chat.log': 'Conversación',
+  'chat.importFailed': 'No se pudo importar "{name}": {error}',
+  'safety.logged': 'Se mostraron recursos de crisis',
+
+  // Header
+  'sessions.show': 'Mostrar conversaciones',
+  'sessions.hide': 'Ocultar conversaciones',
+  'settings.show': 'Ajustes de audio',
+  'settings.hide': 'Ocultar ajustes',
+
+  // Mic and voice controls
+  'mic.denied': 'El acceso al micrófono está bloqueado. Permítelo en los ajustes del sitio de tu navegador para hablar.',
+  'mic.noDevice': 'No se encontró ningún micrófono. Conecta uno o elige otro en los ajustes.',
+  'mic.unplugged': 'Tu micrófono se desconectó.',
+  'mic.failed': 'No se pudo iniciar el micrófono.',
+  'voice.start': 'Iniciar chat de voz',
+  'voice.end': 'Terminar chat de voz',
+  'voice.endButton': 'Terminar voz',
+  'voice.pause': 'Pausar chat de voz',
+  'voice.resume': 'Reanudar chat de voz',
+  'voice.dialog': 'Chat de voz',
+  'voice.holdToTalk': 'Mantén para hablar',
+  'voice.releaseToSend': 'Suelta para enviar',
+  'voice.done': 'He terminado',
+  'mode.handsFree': 'Manos libres',
+  'mode.pushToTalk': 'Pulsar para hablar',
+  'mode.switch': 'Cambiar cómo tomas el turno',
+  'mode.current': 'Modo de entrada: {mode}. Cambiar',
+
+  // Status
+  'status.ready': 'Mantén Espacio o el botón para hablar',
+  'status.listening': 'Escuchando…',
+  'status.transcribing': 'Transcribiendo…',
+  'status.speaking': 'Hablando…',
+  'status.reconnecting': 'Reconectando…',
+  'status.paused': 'En pausa: el micrófono está apagado',
+  'hint.paused': 'Tómate tu tiempo… di "He terminado" cuando acabes',
+  'hint.stillThere': '¿Sigues ahí? Te escucho cuando quieras',
+
+  // Common actions
+  'action.retry': 'Reintentar',
+  'action.end': 'Terminar',
+  'action.dismiss': 'Descartar',
+  'action.settings': 'Ajustes',
+  'action.close': 'Cerrar ajustes',
+  'action.save': 'Guardar',
+  'action.cancel': 'Cancelar',
+  'action.rename': 'Renombrar',
+  'action.delete': 'Eliminar',
+
+  // Composer
+  'composer.placeholder': 'Escribe un mensaje…',
+  'composer.label': 'Mensaje',
+  'composer.send': 'Enviar mensaje',
+  'composer.spoken': 'La respuesta se leerá en voz alta',
+  'composer.textOnly': 'La respuesta será solo texto',
+
+  // Errors
+  'error.network': 'No se puede conectar con el servidor.',
+  'error.sttEmpty': 'Perdona, no te he entendido.',
+  'error.ttsFailed': 'No se pudo reproducir la respuesta.',
+  'error.serverClosed': 'Se perdió la conexión con el servidor.',
+  'error.storage': 'No se pudieron actualizar tus conversaciones guardadas.',
+  'error.generic': 'Algo salió mal.',
+  'error.retrying': 'Reintentando…',
+
+  // Safety panel
+  'safety.label': 'Apoyo en crisis',
+  'safety.heading': 'No tienes que pasar por esto a solas.',
+  'safety.body': 'Si estás pensando en hacerte daño, por favor contacta con alguien ahora. Estos servicios son gratuitos y confidenciales.',
+  'safety.text': 'SMS {number}',
+  'safety.website': 'Sitio web',
+  'safety.dangerCall': 'Si estás en peligro inmediato, llama al {number}.',
+  'safety.dangerLocal': 'Si estás en peligro inmediato, llama a tu número local de emergencias.',
+
+  // Export
+  'export.title': 'Exportar transcripción',
+  'export.markdown': 'Markdown',
+  'export.json': 'JSON (se puede importar)',
+  'export.print': 'Imprimir / PDF',
+  'export.includeAudio': 'Incluir audio (JSON, vista de impresión)',
+
+  // Exported transcripts
+  'transcript.you': 'Tú',
+  'transcript.session': 'Sesión',
+  'transcript.started': 'Inicio',
+  'transcript.updated': 'Última actualización',
+  'transcript.exported': 'Exportado',
+  'transcript.print': 'Imprimir / Guardar como PDF',
+
+  // Transcript import
+  'import.notTranscript': 'No es una transcripción de Voice Therapist',
+  'import.tooNew': 'La versión {version} de la transcripción es más reciente de lo que admite esta aplicación',
+  'import.malformed': 'Los mensajes de la transcripción están mal formados',
+  'import.badAudio': 'El audio de la transcripción debe estar incrustado en el archivo',
+
+  // Replay
+  'replay.play': 'Reproducir audio',
+  'replay.stop': 'Detener',
+  'replay.missing': 'El audio ya no se conserva',
+
+  // Sessions
+  'sessions.new': 'Nueva conversación',
+  'sessions.untitled': 'Nueva conversación',   // title until the user says something
+  'sessions.import': 'Importar una transcripción JSON',
+  'sessions.empty': 'Aún no hay conversaciones guardadas.',
+  'sessions.confirmDelete': '¿Eliminar "{title}"?',
+
+  // Settings
+  'settings.title': 'Ajustes',
+  'settings.language': 'Idioma',
+  'settings.languageHint': 'Se usa en la aplicación y se envía al servidor como el idioma en que hablas.',
+  'settings.microphone': 'Micrófono',
+  'settings.microphoneN': 'Micrófono {n}',
+  'settings.speaker': 'Altavoz',
+  'settings.speakerN': 'Altavoz {n}',
+  'settings.systemDefault': 'Predeterminado del sistema',
+  'settings.noMicrophone': 'No se encontró ningún micrófono. Conecta uno para hablar.',
+  'settings.talking': 'Hablar',
+  'settings.handsFreeHint': 'Habla cuando quieras; una pausa termina tu turno.',
+  'settings.pushToTalkHint': 'Mantén Espacio o el botón de hablar mientras hablas.',
+  'settings.endOfTurn': 'Fin del turno',
+  'settings.pauseBeforeReply': 'Pausa antes de responder',
+  'settings.extendedPause': 'Pausas largas',
+  'settings.extendedPauseHint': 'Tómate tu tiempo: di "He terminado" o pulsa el botón para acabar.',
+  'settings.stillThere': 'Preguntar "¿sigues ahí?" tras',
+  'settings.never': 'nunca',
+  'settings.seconds': '{n} s',
+  'settings.turnAudio': 'Audio de los turnos',
+  'settings.keepAudio': 'Guardar el audio de cada turno en este dispositivo para volver a escucharlo',
+  'settings.keepUpTo': 'Guardar hasta',
+  'settings.oldestFirst': ': primero se borra el audio más antiguo.',
+  'settings.visualiser': 'Visualización',
+  'settings.visualiserAuto': 'Automática',
+  'settings.visualiserWebgl': 'Esfera 3D',
+  'settings.visualiserPulse': 'Pulso sencillo',
+  'settings.visualiserStatic': 'Fija (sin movimiento)',
+  'settings.visualiserAutoHint': 'Respeta tu ajuste de movimiento reducido y pasa a un pulso más ligero en dispositivos lentos.',
+  'settings.latencyOverlay': 'Mostrar panel de latencia',
+  'settings.permissionGranted': 'Acceso al micrófono permitido.',
+  'settings.permissionDenied': 'El acceso al micrófono está bloqueado. Permítelo en los ajustes del sitio de tu navegador y vuelve a intentarlo.',
+  'settings.permissionPrompt': 'El navegador pedirá acceso al micrófono.',
+  'settings.allowMic': 'Permitir el micrófono para ver los nombres de los dispositivos',
+
+  // Latency overlay
+  'metrics.sinceInput': 'desde el fin de la entrada',
+  'metrics.turn': 'turno',
+  'metrics.median': 'mediana ({n})',
+  'metrics.inProgress': 'en curso',
+  'metrics.noTurns': 'Aún no hay turnos',
+  'metrics.sttResult': 'STT',
+  'metrics.firstToken': '1.er token',
+  'metrics.firstAudioByte': '1.er audio',
+  'metrics.playbackStart': 'reproduciendo',
+  'metrics.playbackEnd': 'fin',
+  'metrics.voice': 'voz',
+  'metrics.text': 'texto',
+  'metrics.completed': 'completado',
+  'metrics.cancelled': 'cancelado',
+  'metrics.empty': 'vacío',
+  'metrics.error': 'error',
+};
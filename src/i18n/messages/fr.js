@@ -0,0 +1,167 @@
+/** French. */
+export default {
+  // Conversation
+  'chat.greeting': 'Bonjour, je suis là pour vous écouter. Comment puis-je vous aider aujourd’hui ?',
+  'chat.title': 'Thérapeute IA',
+  'chat.log': 'Conversation',
+  'chat.importFailed': 'Impossible d’importer « {name} » : {error}',
+  'safety.logged': 'Ressources de crise affichées',
+
+  // Header
+  'sessions.show': 'Afficher les conversations',
+  'sessions.hide': 'Masquer les conversations',
+  'settings.show': 'Réglages audio',
+  'settings.hide': 'Masquer les réglages',
+
+  // Mic and voice controls
+  'mic.denied': 'L’accès au micro est bloqué. Autorisez-le dans les paramètres du site de votre navigateur pour parler.',
+  'mic.noDevice': 'Aucun micro trouvé. Branchez-en un ou choisissez-en un autre dans les réglages.',
+  'mic.unplugged': 'Votre micro a été déconnecté.',
+  'mic.failed': 'Le micro n’a pas pu démarrer.',
+  'voice.start': 'Démarrer le chat vocal',
+  'voice.end': 'Terminer le chat vocal',
+  'voice.endButton': 'Terminer',
+  'voice.pause': 'Mettre le chat vocal en pause',
+  'voice.resume': 'Reprendre le chat vocal',
+  'voice.dialog': 'Chat vocal',
+  'voice.holdToTalk': 'Maintenir pour parler',
+  'voice.releaseToSend': 'Relâcher pour envoyer',
+  'voice.done': 'J’ai fini',
+  'mode.handsFree': 'Mains libres',
+  'mode.pushToTalk': 'Appuyer pour parler',
+  'mode.switch': 'Changer la façon de prendre la parole',
+  'mode.current': 'Mode de saisie : {mode}. Changer',
+
+  // Status
+  'status.ready': 'Maintenez Espace ou le bouton pour parler',
+  'status.listening': 'À l’écoute…',
+  'status.transcribing': 'Transcription…',
+  'status.speaking': 'Réponse en cours…',
+  'status.reconnecting': 'Reconnexion…',
+  'status.paused': 'En pause – le micro est coupé',
+  'hint.paused': 'Prenez votre temps… dites « J’ai fini » quand vous avez terminé',
+  'hint.stillThere': 'Vous êtes toujours là ? Je vous écoute dès que vous êtes prêt·e',
+
+  // Common actions
+  'action.retry': 'Réessayer',
+  'action.end': 'Terminer',
+  'action.dismiss': 'Fermer',
+  'action.settings': 'Réglages',
+  'action.close': 'Fermer les réglages',
+  'action.save': 'Enregistrer',
+  'action.cancel': 'Annuler',
+  'action.rename': 'Renommer',
+  'action.delete': 'Supprimer',
+
+  // Composer
+  'composer.placeholder': 'Écrivez un message…',
+  'composer.label': 'Message',
+  'composer.send': 'Envoyer le message',
+  'composer.spoken': 'La réponse sera lue à voix haute',
+  'composer.textOnly': 'La réponse sera uniquement écrite',
+
+  // Errors
+  'error.network': 'Impossible de joindre le serveur.',
+  'error.sttEmpty': 'Désolé, je n’ai pas compris.',
+  'error.ttsFailed': 'La réponse n’a pas pu être lue.',
+  'error.serverClosed': 'La connexion au serveur a été perdue.',
+  'error.storage': 'Impossible de mettre à jour vos conversations enregistrées.',
+  'error.generic': 'Une erreur s’est produite.',
+  'error.retrying': 'Nouvel essai…',
+
+  // Safety panel
+  'safety.label': 'Soutien en cas de crise',
+  'safety.heading': 'Vous n’avez pas à traverser cela seul·e.',
+  'safety.body': 'Si vous pensez à vous faire du mal, contactez quelqu’un dès maintenant. Ces services sont gratuits et confidentiels.',
+  'safety.text': 'SMS {number}',
+  'safety.website': 'Site web',
+  'safety.dangerCall': 'En cas de danger immédiat, appelez le {number}.',
+  'safety.dangerLocal': 'En cas de danger immédiat, appelez votre numéro d’urgence local.',
+
+  // Export
+  'export.title': 'Exporter la transcription',
+  'export.markdown': 'Markdown',
+  'export.json': 'JSON (réimportable)',
+  'export.print': 'Imprimer / PDF',
+  'export.includeAudio': 'Inclure l’audio (JSON, vue d’impression)',
+
+  // Exported transcripts
+  'transcript.you': 'Vous',
+  'transcript.session': 'Session',
+  'transcript.started': 'Début',
+  'transcript.updated': 'Dernière mise à jour',
+  'transcript.exported': 'Exporté',
+  'transcript.print': 'Imprimer / Enregistrer en PDF',
+
+  // Transcript import
+  'import.notTranscript': 'Ce n’est pas une transcription Voice Therapist',
+  'import.tooNew': 'La version {version} de la transcription est plus récente que ce que prend en charge cette application',
+  'import.malformed': 'Les messages de la transcription sont mal formés',
+  'import.badAudio': 'L’audio de la transcription doit être intégré au fichier',
+
+  // Replay
+  'replay.play': 'Réécouter',
+  'replay.stop': 'Arrêter',
+  'replay.missing': 'Audio non conservé',
+
+  // Sessions
+  'sessions.new': 'Nouvelle conversation',
+  'sessions.untitled': 'Nouvelle conversation',   // title until the user says something
+  'sessions.import': 'Importer une transcription JSON',
+  'sessions.empty': 'Aucune conversation enregistrée pour l’instant.',
+  'sessions.confirmDelete': 'Supprimer « {title} » ?',
+
+  // Settings
+  'settings.title': 'Réglages',
+  'settings.language': 'Langue',
+  'settings.languageHint': 'Utilisée pour l’application et envoyée au serveur comme langue parlée.',
+  'settings.microphone': 'Micro',
+  'settings.microphoneN': 'Micro {n}',
+  'settings.speaker': 'Haut-parleur',
+  'settings.speakerN': 'Haut-parleur {n}',
+  'settings.systemDefault': 'Par défaut du système',
+  'settings.noMicrophone': 'Aucun micro trouvé. Branchez-en un pour parler.',
+  'settings.talking': 'Prise de parole',
+  'settings.handsFreeHint': 'Parlez quand vous voulez ; une pause termine votre tour.',
+  'settings.pushToTalkHint': 'Maintenez Espace ou le bouton de parole pendant que vous parlez.',
+  'settings.endOfTurn': 'Fin de tour',
+  'settings.pauseBeforeReply': 'Pause avant la réponse',
+  'settings.extendedPause': 'Pauses prolongées',
+  'settings.extendedPauseHint': 'Prenez votre temps – dites « J’ai fini » ou appuyez sur le bouton pour terminer.',
+  'settings.stillThere': 'Demander « toujours là ? » après',
+  'settings.never': 'jamais',
+  'settings.seconds': '{n} s',
+  'settings.turnAudio': 'Audio des tours',
+  'settings.keepAudio': 'Conserver l’audio de chaque tour sur cet appareil pour le réécouter',
+  'settings.keepUpTo': 'Conserver jusqu’à',
+  'settings.oldestFirst': '– l’audio le plus ancien est supprimé en premier.',
+  'settings.visualiser': 'Visualisation',
+  'settings.visualiserAuto': 'Automatique',
+  'settings.visualiserWebgl': 'Sphère 3D',
+  'settings.visualiserPulse': 'Pulsation simple',
+  'settings.visualiserStatic': 'Fixe (sans mouvement)',
+  'settings.visualiserAutoHint': 'Suit votre réglage de réduction des animations et passe à une pulsation plus légère sur les appareils lents.',
+  'settings.latencyOverlay': 'Afficher la latence',
+  'settings.permissionGranted': 'Accès au micro autorisé.',
+  'settings.permissionDenied': 'L’accès au micro est bloqué. Autorisez-le dans les paramètres du site de votre navigateur, puis réessayez.',
+  'settings.permissionPrompt': 'Le navigateur demandera l’accès au micro.',
+  'settings.allowMic': 'Autoriser le micro pour voir le nom des appareils',
+
+  // Latency overlay
+  'metrics.sinceInput': 'depuis la fin de la saisie',
+  'metrics.turn': 'tour',
+  'metrics.median': 'médiane ({n})',
+  'metrics.inProgress': 'en cours',
+  'metrics.noTurns': 'Aucun tour pour l’instant',
+  'metrics.sttResult': 'STT',
+  'metrics.firstToken': '1er jeton',
+  'metrics.firstAudioByte': '1er audio',
+  'metrics.playbackStart': 'lecture',
+  'metrics.playbackEnd': 'fini',
+  'metrics.voice': 'voix',
+  'metrics.text': 'texte',
+  'metrics.completed': 'terminé',
+  'metrics.cancelled': 'annulé',
+  'metrics.empty': 'vide',
+  'metrics.error': 'erreur',
+};
@@ -0,0 +1,88 @@
+export { resourcesFor } from './resources.js';
+
+/* ---------------------------------------------------------------------------
+   Crisis-language detection
+
+   Patterns are grouped by language (the part of the locale before the '-').
+   Matching runs the user's language and English, so code-switching and
+   untranslated UIs are still covered. A list may mix RegExps and plain
+   phrases (case-insensitive substring match).
+
+   This is a safety net, not a classifier: it errs towards showing help.
+--------------------------------------------------------------------------- */
+export const CRISIS_PATTERNS = {
+  en: [
+    /\b(kill|hurt|harm)(ing)?\s+myself\b/i,
+    /\bsuicid(e|al)\b/i,
+    /\b(end|take)\s+my\s+(own\s+)?life\b/i,
+    /\bwant\s+to\s+die\b/i,
+    /\b(don'?t|do\s+not)\s+want\s+to\s+(live|be\s+alive|be\s+here)\b/i,
+    /\bno\s+reason\s+to\s+live\b/i,
+    /\bbetter\s+off\s+(dead|without\s+me)\b/i,
+    /\bself[-\s]?harm/i,
+    /\bcut(ting)?\s+myself\b/i,
+    /\boverdos(e|ing)\b/i,
+  ],
+  es: [
+    /\bsuicid(io|arme|a)\b/i,
+    /\bquitarme\s+la\s+vida\b/i,
+    /\bmatarme\b/i,
+    /\bquiero\s+morir(me)?\b/i,
+    /\bno\s+quiero\s+vivir\b/i,
+    'hacerme daño',
+  ],
+  fr: [
+    /\bsuicid(e|er|aire)\b/i,
+    /\bme\s+tuer\b/i,
+    /\bje\s+veux\s+mourir\b/i,
+    /\ben\s+finir\s+avec\s+la\s+vie\b/i,
+    'mettre fin à mes jours',
+    'me faire du mal',
+  ],
+  de: [
+    /suizid/i,
+    /selbstmord/i,
+    /\bmich\s+umbringen\b/i,
+    /\bnicht\s+mehr\s+leben\b/i,
+    /\b(will|möchte)\s+sterben\b/i,
+    /\bmir\s+etwas\s+antun\b/i,
+  ],
+  // No \b – it only knows ASCII word characters. Alef/hamza spellings vary in
+  // typed text and transcripts, hence the [أا] classes.
+  ar: [
+    /انتحا?ر/,
+    /[أاإ]قتل\s+نفسي/,
+    /[أا]ريد\s+[أا]ن\s+[أا]موت/,
+    /(بدي|عايز|عاوز|[أا]بغى)\s+[أا]?موت/,
+    /[أا]نهي\s+حياتي/,
+    /[أا]ؤ?ذي\s+نفسي/,
+    /لا\s+[أا]ريد\s+[أا]ن\s+[أا]عيش/,
+  ],
+};
+
+const languageOf = (locale = '') => locale.toLowerCase().split('-')[0];
+
+/**
+ * Does `text` contain crisis language? Returns the matched fragment, or null.
+ * `patterns` replaces the built-in CRISIS_PATTERNS (spread them in to extend).
+ */
+export function detectCrisis(text, { locale = navigator.language, patterns = CRISIS_PATTERNS } = {}) {
+  if (!text) return null;
+  const lists = new Set([patterns[languageOf(locale)], patterns.en]);
+  const lower = text.toLowerCase();
+
+  for (const list of lists) {
+    for (const pattern of list ?? []) {
+      if (pattern instanceof RegExp) {
+        const match = text.match(pattern);
+        if (match) return match[0];
+      } else if (lower.includes(pattern.toLowerCase())) {
+        return pattern;
+      }
+    }
+  }
+  return null;
+}
+
+/** Conversation entry logged whenever crisis resources are shown. */
+export const isSafetyEvent = (msg) => msg.role === 'event' && msg.type === 'safety';
@@ -0,0 +1,34 @@
+/* ---------------------------------------------------------------------------
+   Crisis lines by locale – `lines` are tried in order; `emergency` is the
+   local emergency number. Unknown regions get the international directory.
+--------------------------------------------------------------------------- */
+const INTERNATIONAL = {
+  name: 'Find a Helpline (worldwide directory)',
+  url: 'https://findahelpline.com',
+};
+
+const RESOURCES = {
+  'en-us': { emergency: '911', lines: [{ name: '988 Suicide & Crisis Lifeline', phone: '988', sms: '988', url: 'https://988lifeline.org' }] },
+  'en-ca': { emergency: '911', lines: [{ name: '9-8-8 Suicide Crisis Helpline', phone: '988', sms: '988', url: 'https://988.ca' }] },
+  'en-gb': { emergency: '999', lines: [{ name: 'Samaritans', phone: '116 123', url: 'https://www.samaritans.org' }] },
+  'en-ie': { emergency: '112', lines: [{ name: 'Samaritans Ireland', phone: '116 123', url: 'https://www.samaritans.org/ireland' }] },
+  'en-au': { emergency: '000', lines: [{ name: 'Lifeline', phone: '13 11 14', url: 'https://www.lifeline.org.au' }] },
+  'en-nz': { emergency: '111', lines: [{ name: 'Need to talk?', phone: '1737', sms: '1737', url: 'https://1737.org.nz' }] },
+  'es-es': { emergency: '112', lines: [{ name: 'Línea 024', phone: '024' }] },
+  'es-mx': { emergency: '911', lines: [{ name: 'Línea de la Vida', phone: '800 911 2000' }] },
+  'fr-fr': { emergency: '112', lines: [{ name: '3114 – Numéro national de prévention du suicide', phone: '3114', url: 'https://3114.fr' }] },
+  'de-de': { emergency: '112', lines: [{ name: 'TelefonSeelsorge', phone: '0800 111 0 111', url: 'https://www.telefonseelsorge.de' }] },
+  'ar-sa': { emergency: '911', lines: [{ name: 'المركز الوطني لتعزيز الصحة النفسية', phone: '920033360' }] },
+  'ar-ae': { emergency: '999', lines: [{ name: 'خط دعم الصحة النفسية', phone: '800 4673' }] },
+  'ar-eg': { emergency: '123', lines: [{ name: 'الأمانة العامة للصحة النفسية', phone: '0800 888 0700' }] },
+  'ar-lb': { emergency: '112', lines: [{ name: 'Embrace Lifeline', phone: '1564', url: 'https://embracelebanon.org' }] },
+};
+
+/** Crisis lines for `locale`, always ending with the international directory. */
+export function resourcesFor(locale = navigator.language) {
+  const local = RESOURCES[locale.toLowerCase()];
+  return {
+    emergency: local?.emergency ?? null,
+    lines: [...(local?.lines ?? []), INTERNATIONAL],
+  };
+}
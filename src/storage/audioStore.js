@@ -0,0 +1,61 @@
+import { withStore, AUDIO } from './db.js';
+
+/* ---------------------------------------------------------------------------
+   IndexedDB store for per-turn audio (opt-in). Messages point at their clip
+   through `audioId`; the oldest clips are dropped once the total size goes
+   over the retention limit.
+
+   audio: {
+     id,          // message.audioId
+     sessionId,
+     role,        // user | assistant
+     blob,        // audio/webm, audio/wav or audio/mpeg
+     size,        // bytes, summed for retention
+     createdAt,
+   }
+--------------------------------------------------------------------------- */
+export const DEFAULT_MAX_AUDIO_BYTES = 100 * 1024 * 1024;
+
+/** Store a clip, then prune the oldest ones beyond `maxBytes` in total. */
+export async function saveClip({ id, sessionId, role, blob }, { maxBytes = DEFAULT_MAX_AUDIO_BYTES } = {}) {
+  await withStore(AUDIO, 'readwrite', store => store.put({
+    id, sessionId, role, blob, size: blob.size, createdAt: Date.now(),
+  }));
+  await pruneClips(maxBytes);
+}
+
+/** The clip's record, or undefined if it was never kept or has been pruned. */
+export function getClip(id) {
+  return withStore(AUDIO, 'readonly', store => store.get(id));
+}
+
+export function getSessionClips(sessionId) {
+  return withStore(AUDIO, 'readonly', store => store.index('sessionId').getAll(sessionId));
+}
+
+export function deleteSessionClips(sessionId) {
+  return withStore(AUDIO, 'readwrite', store => {
+    const req = store.index('sessionId').openKeyCursor(IDBKeyRange.only(sessionId));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      store.delete(cursor.primaryKey);
+      cursor.continue();
+    };
+  });
+}
+
+/** Walk clips newest first and delete everything past the size budget. */
+function pruneClips(maxBytes) {
+  return withStore(AUDIO, 'readwrite', store => {
+    let total = 0;
+    const req = store.index('createdAt').openCursor(null, 'prev');
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      total += cursor.value.size;
+      if (total > maxBytes) cursor.delete();
+      cursor.continue();
+    };
+  });
+}
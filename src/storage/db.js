@@ -0,0 +1,50 @@
+/* ---------------------------------------------------------------------------
+   The app's IndexedDB database, shared by the session and audio stores.
+--------------------------------------------------------------------------- */
+const DB_NAME    = 'voice-therapist';
+const DB_VERSION = 2;
+
+export const SESSIONS = 'sessions';
+export const AUDIO    = 'audio';
+
+let dbPromise = null;
+
+export function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (e) => {
+        const db = req.result;
+        if (e.oldVersion < 1) {
+          const sessions = db.createObjectStore(SESSIONS, { keyPath: 'id' });
+          sessions.createIndex('updatedAt', 'updatedAt');
+        }
+        if (e.oldVersion < 2) {
+          const audio = db.createObjectStore(AUDIO, { keyPath: 'id' });
+          audio.createIndex('sessionId', 'sessionId');
+          audio.createIndex('createdAt', 'createdAt');
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+/** Random id for sessions and clips (randomUUID needs a secure context). */
+export function generateId() {
+  return (crypto && typeof crypto.randomUUID === 'function') ? crypto.randomUUID() : `${Date.now()}-${Math.random()}`;
+}
+
+/** Run `fn(store)` in a transaction on `storeName` and resolve with the request's result. */
+export async function withStore(storeName, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
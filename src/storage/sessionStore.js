@@ -0,0 +1,95 @@
+import { withStore, generateId, SESSIONS } from './db.js';
+import { deleteSessionClips } from './audioStore.js';
+
+/* ---------------------------------------------------------------------------
+   IndexedDB store for past conversations.
+
+   sessions: {
+     id,          // session_id shared with the backend
+     title,       // user-editable; defaults to the first thing the user said ('' until then – the UI names it)
+     createdAt,   // ms since epoch
+     updatedAt,
+     messages,    // [{ role, content, at, audioId? }]
+   }
+--------------------------------------------------------------------------- */
+const listeners = new Set();
+
+const notify = () => listeners.forEach(fn => fn());
+
+/** Call `fn` whenever a session is written or removed; returns an unsubscribe. */
+export function subscribe(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/** All sessions, most recently updated first. */
+export async function listSessions() {
+  const sessions = await withStore(SESSIONS, 'readonly', store => store.getAll());
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export function getSession(id) {
+  return withStore(SESSIONS, 'readonly', store => store.get(id));
+}
+
+/**
+ * Read a session and write back `update(existing)` (skipped when it returns
+ * null) in one transaction, so a save and a rename can't overwrite each other.
+ */
+function updateSession(id, update) {
+  return withStore(SESSIONS, 'readwrite', store => {
+    const req = store.get(id);
+    req.onsuccess = () => {
+      const next = update(req.result);
+      if (next) store.put(next);
+    };
+  });
+}
+
+/** Insert or update a session's messages, keeping its title and createdAt. */
+export async function saveSession({ id, messages }) {
+  const now = Date.now();
+  await updateSession(id, existing => ({
+    id,
+    title: existing?.title || defaultTitle(messages),
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now,
+    messages,
+  }));
+  notify();
+}
+
+export async function renameSession(id, title) {
+  await updateSession(id, existing => existing && { ...existing, title: title.trim() || defaultTitle(existing.messages) });
+  notify();
+}
+
+/**
+ * Store a conversation brought in from an export. Keeps its id unless that
+ * is already taken here; resolves with the id it was saved under.
+ */
+export async function importSession({ id, title, createdAt, messages }) {
+  const taken = !id || await getSession(id);
+  const newId = taken ? generateId() : id;
+  const now = Date.now();
+  await withStore(SESSIONS, 'readwrite', store => store.put({
+    id: newId,
+    title: title?.trim() || defaultTitle(messages),
+    createdAt: createdAt ?? messages[0]?.at ?? now,
+    updatedAt: now,
+    messages,
+  }));
+  notify();
+  return newId;
+}
+
+export async function deleteSession(id) {
+  await withStore(SESSIONS, 'readwrite', store => store.delete(id));
+  await deleteSessionClips(id);
+  notify();
+}
+
+function defaultTitle(messages) {
+  const first = messages.find(m => m.role === 'user')?.content.trim() ?? '';
+  return first.length > 40 ? `${first.slice(0, 40)}…` : first;
+}
@@ -0,0 +1,36 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect } from 'vitest';
+import { saveSession, renameSession, getSession, deleteSession } from './sessionStore.js';
+
+const said = (content) => [{ role: 'user', content, at: 1 }];
+
+describe('sessionStore', () => {
+  it('titles a session after the first thing said, and leaves it untitled before', async () => {
+    await saveSession({ id: 'a', messages: [{ role: 'assistant', content: 'Hello', at: 0 }] });
+    expect((await getSession('a')).title).toBe('');
+    await saveSession({ id: 'a', messages: said('I had a long day') });
+    expect((await getSession('a')).title).toBe('I had a long day');
+  });
+
+  it('keeps a rename made while a save is in flight', async () => {
+    await saveSession({ id: 'b', messages: said('first') });
+    await Promise.all([
+      saveSession({ id: 'b', messages: [...said('first'), { role: 'assistant', content: 'ok', at: 2 }] }),
+      renameSession('b', 'Renamed'),
+    ]);
+    const stored = await getSession('b');
+    expect(stored.title).toBe('Renamed');
+    expect(stored.messages).toHaveLength(2);
+  });
+
+  it('ignores a rename of a missing session', async () => {
+    await renameSession('missing', 'Nope');
+    expect(await getSession('missing')).toBeUndefined();
+  });
+
+  it('deletes a session', async () => {
+    await saveSession({ id: 'c', messages: said('bye') });
+    await deleteSession('c');
+    expect(await getSession('c')).toBeUndefined();
+  });
+});
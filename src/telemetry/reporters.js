@@ -0,0 +1,24 @@
+import { track } from '@vercel/analytics';
+import { summarizeTurn } from './turnMetrics.js';
+
+/**
+ * Where finished turns are sent. Each reporter takes the turn object; add
+ * one here and name it in VITE_METRICS_REPORTER to enable it.
+ */
+export const REPORTERS = {
+  vercel:  (turn) => track('voice_turn', summarizeTurn(turn)),
+  console: (turn) => console.info('[voice turn]', summarizeTurn(turn)),
+};
+
+/** Combine the named reporters into one callback; null when none are named. */
+export function createReporter(names = []) {
+  const reporters = names.map(name => {
+    if (!REPORTERS[name]) console.warn(`Unknown metrics reporter "${name}"`);
+    return REPORTERS[name];
+  }).filter(Boolean);
+  if (!reporters.length) return null;
+
+  return (turn) => reporters.forEach(report => {
+    try { report(turn); } catch (err) { console.warn('Metrics reporter failed', err); }
+  });
+}
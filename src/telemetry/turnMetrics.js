@@ -0,0 +1,52 @@
+/* ---------------------------------------------------------------------------
+   Per-turn latency / quality metrics.
+
+   A turn starts at end of speech (voice) or when a typed message is sent
+   (text); every mark is ms since then:
+
+     sttResult      – final transcript back (voice only)
+     firstToken     – first streamed assistant text
+     firstAudioByte – first TTS chunk received
+     playbackStart  – TTS audio actually playing
+     playbackEnd    – reply finished (or text-only reply complete)
+
+   plus bytes sent / received, how the audio was played ('mse' | 'blob') and
+   how the turn ended ('completed' | 'cancelled' | 'empty' | 'error').
+--------------------------------------------------------------------------- */
+export const TURN_MARKS = ['sttResult', 'firstToken', 'firstAudioByte', 'playbackStart', 'playbackEnd'];
+
+export function createTurn(kind, { transport, id }) {
+  return {
+    id,
+    kind,                 // voice | text
+    transport,
+    at: Date.now(),
+    startedAt: performance.now(),
+    marks: {},
+    bytesSent: 0,
+    bytesReceived: 0,
+    playback: null,       // mse | blob
+    outcome: null,
+  };
+}
+
+/** Record `name` once; later calls for the same mark are ignored. */
+export function markTurn(turn, name) {
+  if (!turn || turn.outcome || turn.marks[name] != null) return false;
+  turn.marks[name] = Math.round(performance.now() - turn.startedAt);
+  return true;
+}
+
+/** Flat, primitive-only view of a turn – what reporters receive. */
+export function summarizeTurn(turn) {
+  const summary = {
+    kind: turn.kind,
+    transport: turn.transport,
+    outcome: turn.outcome,
+    bytesSent: turn.bytesSent,
+    bytesReceived: turn.bytesReceived,
+    playback: turn.playback,
+  };
+  TURN_MARKS.forEach(name => { summary[`${name}Ms`] = turn.marks[name] ?? null; });
+  return summary;
+}
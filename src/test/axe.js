@@ -0,0 +1,9 @@
+import axe from 'axe-core';
+
+/** axe violations in `container` – rule ids and the offending markup, for readable failures. */
+export async function axeViolations(container) {
+  const { violations } = await axe.run(container, {
+    rules: { 'color-contrast': { enabled: false } },   // jsdom doesn't lay out or paint
+  });
+  return violations.map(v => ({ id: v.id, nodes: v.nodes.map(n => n.html) }));
+}
@@ -0,0 +1,23 @@
+/** Failure kinds reported through a transport's `onError` and the hook's `error` state. */
+export const VOICE_ERROR = {
+  NETWORK:       'network',        // backend unreachable or answered with an error
+  STT_EMPTY:     'stt-empty',      // nothing intelligible in the utterance
+  TTS_FAILED:    'tts-failed',     // reply text arrived but its speech didn't
+  MIC:           'mic',            // microphone couldn't be opened or went away
+  SERVER_CLOSED: 'server-closed',  // connection lost and reconnecting gave up
+  STORAGE:       'storage',        // saved conversations couldn't be read or written
+};
+
+export class VoiceError extends Error {
+  constructor(type, message, options) {
+    super(message, options);
+    this.name = 'VoiceError';
+    this.type = type;
+  }
+}
+
+/** Wrap whatever was thrown in a VoiceError of `type`, unless it already is one. */
+export function toVoiceError(err, type = VOICE_ERROR.NETWORK) {
+  if (err instanceof VoiceError) return err;
+  return new VoiceError(type, err?.message || String(err), { cause: err });
+}
@@ -0,0 +1,242 @@
+import { VOICE_ERROR, VoiceError, toVoiceError } from './errors.js';
+
+const DEFAULT_API_BASE = 'http://localhost:9000';
+
+// Shorter "sentences" ("Okay.", "Hmm.") wait for more text before being spoken.
+const MIN_SENTENCE_CHARS = 12;
+
+/**
+ * createHttpTransport – request/response backend. The finished utterance is
+ * uploaded to `/stt`, the reply text streams from `/chat_stream` (SSE) and
+ * its speech from `/tts_stream`. Everything is surfaced through the same
+ * events the WebSocket transport emits.
+ *
+ * Speech is requested a sentence at a time as the reply streams in, so the
+ * first sentence plays while the rest is still being written; the segments
+ * are emitted in order as one continuous audio stream.
+ *
+ * The spoken `language` goes with every `/stt` upload and `/chat_stream` request.
+ */
+export default function createHttpTransport({
+  apiBase = DEFAULT_API_BASE,
+  sessionId,
+  language,
+  onOpen,
+  onTranscript,
+  onAssistantText,
+  onAudioChunk,
+  onAudioEnd,
+  onError,
+  onSafety,
+}) {
+  let chunks     = [];      // Blob[] of the utterance being recorded
+  let turn       = 0;
+  let controller = null;    // aborts the in-flight turn on cancel/close
+
+  /** Run one abortable turn; failures other than our own abort go to onError. */
+  const runTurn = async (work) => {
+    const ac = new AbortController();
+    controller = ac;
+    const { signal } = ac;
+
+    try {
+      await work(signal);
+    } catch (err) {
+      if (signal.aborted) return;
+      ac.abort();   // TTS for sentences already queued would otherwise keep playing
+      onError?.(toVoiceError(err));
+    } finally {
+      if (controller === ac) controller = null;
+    }
+  };
+
+  /** Upload mic recording → STT → reply */
+  const transcribeAndReply = async (blob, signal) => {
+    const form = new FormData();
+    form.append('file', blob, 'speech.webm');
+    form.append('session_id', sessionId);
+    form.append('turn', String(turn));
+    if (language) form.append('language', language);
+
+    const res = await fetch(`${apiBase}/stt`, { method: 'POST', body: form, signal });
+    if (!res.ok) throw new VoiceError(VOICE_ERROR.NETWORK, `/stt responded ${res.status}`);
+    const data = await res.json();
+    const transcript = data.text || '';
+
+    onTranscript(transcript);
+    if (data.safety) onSafety?.(data.safety === true ? {} : data.safety);  // server-side crisis flag
+    if (!transcript.trim()) return;
+    await speakAsAI(transcript, signal, true);
+  };
+
+  /** Stream assistant tokens, speaking (optionally) each sentence as it completes */
+  const speakAsAI = async (prompt, signal, speak) => {
+    turn += 1;
+    const speech = speak ? createSpeechQueue(signal) : null;
+    const sentences = speech ? createSentenceChunker(speech.add) : null;
+
+    const fullText = await streamAssistantResponse(prompt, signal, sentences);
+    sentences?.flush();
+    onAssistantText(fullText, false);
+
+    if (speech) {
+      try {
+        await speech.done();
+      } catch (err) {
+        if (signal.aborted) throw err;
+        throw toVoiceError(err, VOICE_ERROR.TTS_FAILED);
+      }
+    }
+    onAudioEnd();
+  };
+
+  /**
+   * TTS for each sentence is requested as soon as it is added; the audio is
+   * passed on strictly in order, so playback sees a single stream.
+   */
+  const createSpeechQueue = (signal) => {
+    let tail = Promise.resolve();
+    return {
+      add(sentence) {
+        const body = fetchSpeech(sentence, signal);
+        body.catch(() => {});              // reported in order, below
+        tail = tail.then(async () => {
+          const reader = (await body).getReader();
+          while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            if (value) onAudioChunk(value);
+          }
+        });
+        tail.catch(() => {});              // awaited by done()
+      },
+      done: () => tail,
+    };
+  };
+
+  /** Stream assistant text tokens, feeding `sentences` as they arrive */
+  const streamAssistantResponse = async (prompt, signal, sentences) => {
+    const res = await fetch(`${apiBase}/chat_stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: prompt, session_id: sessionId, language }),
+      signal,
+    });
+    if (!res.ok) throw new VoiceError(VOICE_ERROR.NETWORK, `/chat_stream responded ${res.status}`);
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder('utf-8');
+    let buffer = '';
+    let fullReply = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const parts = buffer.split('\n\n');
+      buffer = parts.pop();
+      parts.forEach(part => {
+        if (part.startsWith('data:')) {
+          const token = part.replace(/^data:\s*/, '');
+          if (token) {
+            const needsSpace = fullReply.length && !token.match(/^[.,!?;:]/) && !fullReply.endsWith(' ') && !fullReply.endsWith('\n');
+            const t = needsSpace ? ' ' + token : token;
+            fullReply += t;
+            onAssistantText(t, true);
+            sentences?.push(t);
+          }
+        }
+      });
+    }
+    return fullReply;
+  };
+
+  /** Fetch TTS audio stream */
+  const fetchSpeech = async (text, signal) => {
+    const res = await fetch(`${apiBase}/tts_stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text }),
+      signal,
+    });
+    if (!res.ok) throw new VoiceError(VOICE_ERROR.TTS_FAILED, `/tts_stream responded ${res.status}`);
+    return res.body;
+  };
+
+  const cancel = () => {
+    controller?.abort();
+    controller = null;
+  };
+
+  return {
+    endOfSpeechMs: 2000,
+    captureFormat: 'webm',
+
+    // Stateless – nothing to open.
+    connect() {
+      onOpen?.({ resumed: false, awaitingReply: false });
+    },
+
+    startUtterance() {
+      chunks = [];
+    },
+
+    sendAudio(blob) {
+      chunks.push(blob);
+      return blob.size;   // uploaded with endUtterance
+    },
+
+    endUtterance() {
+      const blob = new Blob(chunks, { type: 'audio/webm' });
+      chunks = [];
+      runTurn(signal => transcribeAndReply(blob, signal));
+    },
+
+    sendText(text, { speak = true } = {}) {
+      chunks = [];
+      cancel();
+      runTurn(signal => speakAsAI(text, signal, speak));
+    },
+
+    setLanguage(next) {
+      language = next;
+    },
+
+    cancel,
+    close: cancel,
+  };
+}
+
+/**
+ * Cut streamed text into sentences for TTS: at . ! ? … (plus any closing
+ * quote or bracket) followed by whitespace, or at a line break.
+ */
+function createSentenceChunker(onSentence) {
+  let buffer = '';
+
+  const emit = (text) => {
+    const sentence = text.trim();
+    if (sentence) onSentence(sentence);
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      const boundary = /[.!?…]+["'”’)\]]*\s+|\n+/g;
+      let start = 0;
+      let match;
+      while ((match = boundary.exec(buffer))) {
+        const end = match.index + match[0].length;
+        if (buffer.slice(start, end).trim().length < MIN_SENTENCE_CHARS) continue;
+        emit(buffer.slice(start, end));
+        start = end;
+      }
+      buffer = buffer.slice(start);
+    },
+
+    flush() {
+      emit(buffer);
+      buffer = '';
+    },
+  };
+}
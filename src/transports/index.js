@@ -0,0 +1,32 @@
+import createHttpTransport from './httpTransport.js';
+import createWsTransport from './wsTransport.js';
+import createMockTransport from './mockTransport.js';
+
+export { VOICE_ERROR, VoiceError } from './errors.js';
+
+/**
+ * Transport adapters understood by `useVoiceSession`. Each factory takes
+ * `{ apiBase, sessionId, capture, language, ...eventHandlers }` and returns
+ * `{ endOfSpeechMs, captureFormat, connect, startUtterance, sendAudio, endUtterance, sendText, setLanguage, cancel, close }`.
+ * `language` is the spoken language code ('en', 'es', …) passed on to the backend,
+ * changed mid-session with `setLanguage`;
+ * `captureFormat` is `'webm'` (MediaRecorder chunks) or `'pcm16'` (16 kHz PCM16 frames);
+ * `sendAudio` returns the bytes it actually sent (for metrics).
+ * Failures reach `onError` as a `VoiceError` whose `type` is one of `VOICE_ERROR`;
+ * `onSafety({ resources? })` relays a server-side crisis flag,
+ * `onWordTimings(words)` caption timings for the reply audio and
+ * `onPartialTranscript(text)` interim STT (all optional).
+ */
+export const TRANSPORTS = {
+  http: createHttpTransport,
+  ws:   createWsTransport,
+  mock: createMockTransport,
+};
+
+export function createTransport(name, options) {
+  const factory = TRANSPORTS[name];
+  if (!factory) {
+    throw new Error(`Unknown voice transport "${name}" (expected one of: ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+  return factory(options);
+}
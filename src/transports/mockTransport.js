@@ -0,0 +1,84 @@
+/* ---------------------------------------------------------------------------
+   Canned conversation – cycled through one turn per utterance
+--------------------------------------------------------------------------- */
+const CANNED_TURNS = [
+  {
+    transcript: "I've been feeling really overwhelmed at work lately.",
+    reply: "That sounds exhausting. What part of work has been weighing on you the most?",
+  },
+  {
+    transcript: 'Mostly the deadlines. I never feel like I can catch up.',
+    reply: "Constantly feeling behind can wear anyone down. When did you last have a moment where things felt manageable?",
+  },
+  {
+    transcript: "Maybe a few weeks ago, before the new project started.",
+    reply: "So something shifted with that project. What changed for you when it began?",
+  },
+];
+
+const WORD_INTERVAL_MS = 60;   // pace of streamed reply tokens
+const SPEAK_MS_PER_WORD = 250; // how long the (silent) reply "plays" for
+
+/**
+ * createMockTransport – in-memory stand-in for the backend. Ignores the mic
+ * audio and answers each utterance with a canned transcript and a streamed
+ * reply, so the UI can be exercised without any server. It produces no TTS
+ * audio; `onAudioEnd` simply fires after a speaking-length delay.
+ */
+export default function createMockTransport({
+  onOpen,
+  onTranscript,
+  onAssistantText,
+  onAudioEnd,
+  latencyMs = 300,
+}) {
+  let turn   = 0;
+  let timers = [];
+
+  const later = (fn, ms) => timers.push(setTimeout(fn, ms));
+
+  const streamReply = (reply, startAt, speak) => {
+    const words = reply.split(' ');
+    words.forEach((word, i) => later(() => onAssistantText(i ? ` ${word}` : word, true), startAt + i * WORD_INTERVAL_MS));
+
+    const textDoneAt = startAt + words.length * WORD_INTERVAL_MS;
+    later(() => onAssistantText(reply, false), textDoneAt);
+    later(() => onAudioEnd(), textDoneAt + (speak ? words.length * SPEAK_MS_PER_WORD : 0));
+  };
+
+  const cancel = () => {
+    timers.forEach(clearTimeout);
+    timers = [];
+  };
+
+  return {
+    endOfSpeechMs: 1500,
+    captureFormat: 'webm',
+
+    connect() {
+      later(() => onOpen?.({ resumed: false, awaitingReply: false }), 0);
+    },
+
+    startUtterance() {},
+    sendAudio: () => 0,
+    setLanguage() {},   // canned English either way
+
+    endUtterance() {
+      const { transcript, reply } = CANNED_TURNS[turn % CANNED_TURNS.length];
+      turn += 1;
+
+      later(() => onTranscript(transcript), latencyMs);
+      streamReply(reply, latencyMs * 2, true);
+    },
+
+    sendText(text, { speak = true } = {}) {
+      cancel();
+      const { reply } = CANNED_TURNS[turn % CANNED_TURNS.length];
+      turn += 1;
+      streamReply(reply, latencyMs, speak);
+    },
+
+    cancel,
+    close: cancel,
+  };
+}
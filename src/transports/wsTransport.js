@@ -0,0 +1,305 @@
+import { PCM_SAMPLE_RATE } from '../audio/pcmCapture.js';
+import { VOICE_ERROR, VoiceError } from './errors.js';
+
+/* ---------------------------------------------------------------------------
+   Client / Server protocol
+--------------------------------------------------------------------------- */
+export const CLIENT_MSG = {
+  END: 'end',
+  AGENT_FINISHED_SPEAKING: 'agent_finished_speaking',
+  START_MIC_STREAM: "start_mic_stream", // { format: 'pcm16' | 'webm', sample_rate?, channels?, language } – on open and language change
+  CANCEL: 'cancel',                // user barged in – drop the in-flight reply
+  USER_TEXT: 'user_text',          // typed turn { text, speak, turn_id } – discards unfinished mic audio
+}; // binary MIC_CHUNK is implied when sending ArrayBuffer
+export const SERVER_MSG = {
+  PARTIAL_TRANSCRIPT: 'partial_transcript', // { text } – interim STT while the user is still speaking
+  TRANSCRIPT:    'transcript',     // final STT result
+  ASSISTANT_TEXT:'assistant_text', // assistant reply (may stream in parts)
+  AUDIO_END:     'audio_end',      // all TTS chunks sent (also ends a text-only reply)
+  MIC_STREAM_STARTED: 'mic_stream_started', // { format } – mic format the server accepted
+  ERROR:         'error',          // { code: 'tts_failed' | …, message } – the turn failed
+  WORD_TIMINGS:  'word_timings',   // { words: [{ word, start, end }] } – seconds into the reply audio, may be batched
+  SAFETY:        'safety',         // { resources?: [{ name, phone, url }] } – server flagged crisis language
+  // TTS_AUDIO_CHUNK – implicit binary frames
+};
+// Replies to a typed turn echo its `turn_id` on their JSON messages; every
+// reply ends with `audio_end`. What is left of a reply that was cancelled or
+// superseded while still due is dropped – untagged text, timings and binary
+// audio – until the first message of the new turn (its `turn_id`, or the
+// `transcript` of a spoken one) or the stale reply's own `audio_end`, so
+// servers that never tag still work. Untagged errors still go through, so a
+// failed new turn can't hang.
+const REPLY_MSGS = new Set([SERVER_MSG.ASSISTANT_TEXT, SERVER_MSG.AUDIO_END, SERVER_MSG.WORD_TIMINGS]);
+
+/* ---------------------------------------------------------------------------
+   Reconnection (exponential backoff, same session_id)
+--------------------------------------------------------------------------- */
+const RECONNECT_BASE_MS     = 500;
+const RECONNECT_MAX_MS      = 10000;
+const RECONNECT_MAX_ATTEMPTS = 8;
+// Attempts are only forgiven once a connection proves itself – the server
+// said something, or it stayed up this long – so accept-then-drop still gives up.
+const STABLE_AFTER_MS       = 5000;
+
+// Servers that don't answer `start_mic_stream` in time get WebM chunks.
+const NEGOTIATE_TIMEOUT_MS = 1500;
+
+const DEFAULT_API_BASE = 'https://ai-therapist.crafzen.com';
+
+/**
+ * createWsTransport – streams mic chunks over `/ws/chat` and receives the reply
+ * as JSON text frames plus binary TTS frames. A dropped socket is reopened
+ * with backoff on the same session_id, and a turn whose reply hadn't started
+ * is sent again once it is back: the utterance's audio, or – if its transcript
+ * already came – that text as a typed turn, or the typed turn itself.
+ *
+ * `capture: 'pcm'` asks the server (via `start_mic_stream`) to accept raw
+ * 16 kHz mono PCM16 frames instead of MediaRecorder WebM chunks; the result
+ * is exposed as `captureFormat` before `onOpen` fires. `start_mic_stream` also
+ * carries the spoken `language`, sent on every (re)connect and again after
+ * `setLanguage()`.
+ */
+export default function createWsTransport({
+  apiBase = DEFAULT_API_BASE,
+  sessionId,
+  capture = 'webm',
+  language,
+  onOpen,
+  onReconnecting,
+  onTranscript,
+  onPartialTranscript,
+  onAssistantText,
+  onAudioChunk,
+  onAudioEnd,
+  onWordTimings,
+  onError,
+  onSafety,
+  onClose,
+}) {
+  let ws        = null;
+  let closed    = false;
+  let attempt   = 0;
+  let timer     = null;
+  let stableTimer = null;
+  let lastSend  = 0;
+  let utterance = null;    // { chunks, ended, transcript? } until its reply starts
+  let typedTurn = null;    // USER_TEXT message until its reply starts
+  let outbox    = [];      // typed turns sent before the socket opened
+  let captureFormat = 'webm';
+  let negotiation   = null;  // { timer, done } while waiting for MIC_STREAM_STARTED
+  let turnId        = 0;     // latest typed turn
+  let replyDue      = false; // a turn was sent and its reply hasn't ended
+  let staleReply    = null;  // 'spoken' | 'typed' – the next turn's kind, while a cancelled reply may still be draining
+
+  // Both return whether the frame went out (ws.send itself returns nothing).
+  const sendBinary = (buf) => ws?.readyState === 1 && (ws.send(buf), true);
+  const sendJSON   = (obj) => ws?.readyState === 1 && (ws.send(JSON.stringify(obj)), true);
+
+  const open = () => {
+    const socket = new WebSocket(apiBase + `/ws/chat?session_id=${sessionId}`);
+    socket.binaryType = 'arraybuffer';
+    ws = socket;
+
+    socket.onopen = () => {
+      const resumed = attempt > 0;
+      staleReply = null;   // whatever was draining went with the old socket
+      clearTimeout(stableTimer);
+      stableTimer = setTimeout(markStable, STABLE_AFTER_MS);
+
+      if (resumed && utterance?.transcript) {
+        // The server heard it but the reply never started – ask for it by text.
+        typedTurn = textTurn(utterance.transcript);
+        utterance = null;
+      }
+      if (resumed && typedTurn && !outbox.includes(typedTurn)) outbox.push(typedTurn);
+
+      const ready = () => {
+        if (resumed && utterance) {
+          utterance.chunks.forEach(sendBinary);
+          if (utterance.ended) sendJSON({ type: CLIENT_MSG.END });
+        }
+        onOpen?.({ resumed, awaitingReply: !!utterance?.ended || !!typedTurn });
+      };
+      // Language (and the PCM offer) first, so the typed turns below are understood.
+      if (capture === 'pcm') negotiatePcm(ready);
+      else sendJSON(micStreamMessage('webm'));
+      outbox.forEach(sendJSON);
+      outbox = [];
+      if (capture !== 'pcm') ready();
+    };
+
+    socket.onmessage = (evt) => {
+      if (attempt) markStable();
+      if (evt.data instanceof ArrayBuffer) {
+        if (!staleReply) onAudioChunk(new Uint8Array(evt.data));
+        return;
+      }
+      let msg;
+      try { msg = JSON.parse(evt.data); } catch { return; }
+      if (msg.turn_id != null) {
+        if (msg.turn_id !== turnId) return;   // an earlier typed turn
+        staleReply = null;
+      }
+      if (msg.type === SERVER_MSG.TRANSCRIPT) {
+        if (staleReply === 'typed') return;   // of an utterance the user typed over
+        staleReply = null;
+      }
+      if (staleReply && REPLY_MSGS.has(msg.type)) {
+        if (msg.type === SERVER_MSG.AUDIO_END) staleReply = null;   // the stale reply is over
+        return;
+      }
+      if (msg.type === SERVER_MSG.AUDIO_END || msg.type === SERVER_MSG.ERROR) replyDue = false;
+      if (REPLY_MSGS.has(msg.type) || msg.type === SERVER_MSG.ERROR) {
+        if (utterance?.ended) utterance = null;   // answered, if only with a failure – nothing to send again
+        typedTurn = null;
+      }
+
+      if (msg.type === SERVER_MSG.MIC_STREAM_STARTED) {
+        captureFormat = msg.format === 'pcm16' ? 'pcm16' : 'webm';
+        negotiation?.done();
+      }
+      else if (msg.type === SERVER_MSG.PARTIAL_TRANSCRIPT) onPartialTranscript?.(msg.text);
+      else if (msg.type === SERVER_MSG.TRANSCRIPT) {
+        if (utterance?.ended) utterance = msg.text?.trim() ? { chunks: [], ended: true, transcript: msg.text } : null;
+        onTranscript(msg.text);
+      }
+      else if (msg.type === SERVER_MSG.ASSISTANT_TEXT) onAssistantText(msg.text, !!msg.partial);
+      else if (msg.type === SERVER_MSG.AUDIO_END)      onAudioEnd();
+      else if (msg.type === SERVER_MSG.WORD_TIMINGS)   onWordTimings?.(msg.words ?? []);
+      else if (msg.type === SERVER_MSG.SAFETY)         onSafety?.(msg);
+      else if (msg.type === SERVER_MSG.ERROR) {
+        const type = msg.code === 'tts_failed' ? VOICE_ERROR.TTS_FAILED : VOICE_ERROR.NETWORK;
+        onError?.(new VoiceError(type, msg.message || `Server error: ${msg.code}`));
+      }
+    };
+
+    socket.onclose = () => {
+      if (ws !== socket || closed) return; // stale socket or chat ended
+      clearTimeout(stableTimer);
+      scheduleReconnect();
+    };
+    socket.onerror = (err) => console.warn('WS error', err); // `close` always follows
+  };
+
+  const markStable = () => {
+    clearTimeout(stableTimer);
+    attempt = 0;
+  };
+
+  /** Offer PCM16; settle on whatever the server answers, or WebM after a timeout. */
+  const negotiatePcm = (ready) => {
+    clearTimeout(negotiation?.timer);
+    captureFormat = 'webm';
+    const current = {
+      done: () => {
+        clearTimeout(current.timer);
+        if (negotiation !== current) return;
+        negotiation = null;
+        ready();
+      },
+    };
+    current.timer = setTimeout(current.done, NEGOTIATE_TIMEOUT_MS);
+    negotiation = current;
+    sendJSON(micStreamMessage('pcm16'));
+  };
+
+  const textTurn = (text, speak = true) => ({ type: CLIENT_MSG.USER_TEXT, text, speak, turn_id: ++turnId });
+
+  const micStreamMessage = (format) => ({
+    type: CLIENT_MSG.START_MIC_STREAM,
+    format,
+    ...(format === 'pcm16' && { sample_rate: PCM_SAMPLE_RATE, channels: 1 }),
+    language,
+  });
+
+  const scheduleReconnect = () => {
+    if (attempt >= RECONNECT_MAX_ATTEMPTS) {
+      closed = true;
+      onError?.(new VoiceError(VOICE_ERROR.SERVER_CLOSED, `WS reconnect gave up after ${attempt} attempts`));
+      onClose?.();
+      return;
+    }
+    onReconnecting?.();
+
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** attempt, RECONNECT_MAX_MS);
+    attempt += 1;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      if (!closed) open();
+    }, delay * (0.8 + Math.random() * 0.4)); // ±20 % jitter
+  };
+
+  // Going back online (e.g. Wi-Fi → cellular handover) – don't wait out the backoff.
+  const onOnline = () => {
+    if (closed || !timer) return;
+    clearTimeout(timer);
+    timer = null;
+    open();
+  };
+
+  return {
+    endOfSpeechMs: 1500,
+
+    get captureFormat() { return captureFormat; },
+
+    connect() {
+      window.addEventListener('online', onOnline);
+      open();
+    },
+
+    startUtterance() {
+      utterance = { chunks: [], ended: false };
+    },
+
+    sendAudio(blob) {
+      if (blob instanceof ArrayBuffer) {   // PCM16 frame – every one matters
+        utterance?.chunks.push(blob);
+        return sendBinary(blob) ? blob.byteLength : 0;
+      }
+      const now = Date.now();
+      if (now - lastSend < 200) return 0;  // 200-ms throttle ≈5 fps
+      utterance?.chunks.push(blob); // kept for replay after a reconnect
+      lastSend = now;
+      return sendBinary(blob) ? blob.size : 0;
+    },
+
+    endUtterance() {
+      if (utterance) utterance.ended = true;
+      replyDue = true;
+      sendJSON({ type: CLIENT_MSG.END });
+    },
+
+    sendText(text, { speak = true } = {}) {
+      utterance = null;
+      if (replyDue || staleReply) staleReply = 'typed';   // the previous reply may still be coming
+      replyDue = true;
+      typedTurn = textTurn(text, speak);
+      if (!sendJSON(typedTurn)) outbox.push(typedTurn);
+    },
+
+    cancel() {
+      if (replyDue) staleReply = 'spoken';   // sendText() makes it 'typed'
+      replyDue = false;
+      if (utterance?.ended) utterance = null;   // its reply is abandoned – not worth sending again
+      typedTurn = null;
+      sendJSON({ type: CLIENT_MSG.CANCEL });
+    },
+
+    setLanguage(next) {
+      if (next === language) return;
+      language = next;
+      if (!negotiation) sendJSON(micStreamMessage(captureFormat));   // mid-offer, the offer already has it
+    },
+
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      clearTimeout(stableTimer);
+      clearTimeout(negotiation?.timer);
+      negotiation = null;
+      window.removeEventListener('online', onOnline);
+      ws?.close();
+    },
+  };
+}
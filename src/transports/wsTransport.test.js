@@ -0,0 +1,163 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import createWsTransport from './wsTransport.js';
+
+let sockets;
+
+class FakeSocket {
+  constructor(url) {
+    this.url = url;
+    this.readyState = 1;
+    this.sent = [];
+    sockets.push(this);
+  }
+  send(data) { this.sent.push(data); }
+  close() {}
+}
+
+const connect = (events = {}) => {
+  const transport = createWsTransport({ sessionId: 's1', onAssistantText() {}, onAudioChunk() {}, onAudioEnd() {}, onTranscript() {}, ...events });
+  transport.connect();
+  return transport;
+};
+const last = () => sockets.at(-1);
+
+beforeEach(() => {
+  sockets = [];
+  vi.stubGlobal('WebSocket', FakeSocket);
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe('wsTransport reconnection', () => {
+  it('gives up on a server that accepts the socket and drops it straight away', () => {
+    const onClose = vi.fn();
+    connect({ onClose, onError() {} });
+    for (let i = 0; i < 20 && !onClose.mock.calls.length; i++) {
+      last().onopen();
+      last().onclose();
+      vi.runOnlyPendingTimers();
+    }
+    expect(onClose).toHaveBeenCalledTimes(1);
+    expect(sockets).toHaveLength(9);   // the first socket and RECONNECT_MAX_ATTEMPTS retries
+  });
+
+  it('forgives earlier attempts once the server has spoken', () => {
+    const onClose = vi.fn();
+    connect({ onClose, onError() {} });
+    for (let i = 0; i < 20; i++) {
+      last().onopen();
+      last().onmessage({ data: JSON.stringify({ type: 'mic_stream_started', format: 'webm' }) });
+      last().onclose();
+      vi.runOnlyPendingTimers();
+    }
+    expect(onClose).not.toHaveBeenCalled();
+  });
+
+  it('forgives earlier attempts once a connection has stayed up', () => {
+    const onClose = vi.fn();
+    connect({ onClose, onError() {} });
+    for (let i = 0; i < 20; i++) {
+      last().onopen();
+      vi.advanceTimersByTime(5000);
+      last().onclose();
+      vi.runOnlyPendingTimers();
+    }
+    expect(onClose).not.toHaveBeenCalled();
+  });
+});
+
+describe('wsTransport cancelled replies', () => {
+  const receive = (msg) => last().onmessage({ data: JSON.stringify(msg) });
+  const audio = () => last().onmessage({ data: new ArrayBuffer(4) });
+
+  const typedOverSpokenReply = () => {
+    const events = { onAssistantText: vi.fn(), onAudioChunk: vi.fn(), onAudioEnd: vi.fn(), onTranscript: vi.fn() };
+    const transport = connect(events);
+    last().onopen();
+    transport.startUtterance();
+    transport.endUtterance();
+    receive({ type: 'transcript', text: 'hello' });
+    receive({ type: 'assistant_text', text: 'Sure', partial: true });
+    transport.cancel();
+    transport.sendText('actually…');
+    return events;
+  };
+
+  it('drops an untagged reply the user typed over until a message of the new turn', () => {
+    const events = typedOverSpokenReply();
+    receive({ type: 'assistant_text', text: ', let', partial: true });
+    audio();
+    receive({ type: 'assistant_text', text: 'Okay', partial: true, turn_id: 1 });
+    audio();
+    expect(events.onAssistantText.mock.calls.map(([text]) => text)).toEqual(['Sure', 'Okay']);
+    expect(events.onAudioChunk).toHaveBeenCalledTimes(1);
+  });
+
+  it('takes untagged frames again once the stale reply has ended', () => {
+    const events = typedOverSpokenReply();
+    receive({ type: 'assistant_text', text: ', let', partial: true });
+    receive({ type: 'audio_end' });
+    receive({ type: 'assistant_text', text: 'Okay', partial: true });
+    audio();
+    receive({ type: 'audio_end' });
+    expect(events.onAssistantText.mock.calls.map(([text]) => text)).toEqual(['Sure', 'Okay']);
+    expect(events.onAudioChunk).toHaveBeenCalledTimes(1);
+    expect(events.onAudioEnd).toHaveBeenCalledTimes(1);
+  });
+
+  it('drops nothing when no reply was due', () => {
+    const onAssistantText = vi.fn();
+    const transport = connect({ onAssistantText });
+    last().onopen();
+    transport.sendText('hi');
+    receive({ type: 'assistant_text', text: 'Hello', partial: true });
+    expect(onAssistantText).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('wsTransport unanswered turns', () => {
+  const receive = (msg) => last().onmessage({ data: JSON.stringify(msg) });
+  const sentJSON = () => last().sent.filter(d => typeof d === 'string').map(d => JSON.parse(d));
+  const reconnect = () => {
+    last().onclose();
+    vi.runOnlyPendingTimers();
+    last().onopen();
+  };
+
+  it('asks again for the reply to an utterance dropped after its transcript', () => {
+    const onOpen = vi.fn();
+    const transport = connect({ onOpen });
+    last().onopen();
+    transport.startUtterance();
+    transport.endUtterance();
+    receive({ type: 'transcript', text: 'hello there' });
+    reconnect();
+    expect(sentJSON()).toContainEqual(expect.objectContaining({ type: 'user_text', text: 'hello there', speak: true }));
+    expect(onOpen).toHaveBeenLastCalledWith({ resumed: true, awaitingReply: true });
+  });
+
+  it('sends a typed turn again when the socket drops before its reply', () => {
+    const transport = connect();
+    last().onopen();
+    transport.sendText('hi', { speak: false });
+    reconnect();
+    expect(sentJSON().filter(m => m.type === 'user_text')).toEqual([{ type: 'user_text', text: 'hi', speak: false, turn_id: 1 }]);
+  });
+
+  it('sends nothing again once the reply has started', () => {
+    const onOpen = vi.fn();
+    const transport = connect({ onOpen });
+    last().onopen();
+    transport.startUtterance();
+    transport.endUtterance();
+    receive({ type: 'transcript', text: 'hello there' });
+    receive({ type: 'assistant_text', text: 'Hi', partial: true });
+    reconnect();
+    expect(sentJSON().filter(m => m.type === 'user_text' || m.type === 'end')).toEqual([]);
+    expect(onOpen).toHaveBeenLastCalledWith({ resumed: true, awaitingReply: false });
+  });
+});